@@ -12,43 +12,232 @@ const STORAGE_KEYS = {
     SESSIONS: 'mathTrainer_sessions',
     HISTORY: 'mathTrainer_history',
     SETTINGS: 'mathTrainer_settings',
-    SOLVE_TIMES: 'mathTrainer_solveTimes'
+    SOLVE_TIMES: 'mathTrainer_solveTimes',
+    REVIEW_DECK: 'mathTrainer_reviewDeck',
+    ADAPTIVE_LEVELS: 'mathTrainer_adaptiveLevels',
+    MIXED_CONFIG: 'mathTrainer_mixedConfig',
+    PROBLEMS: 'mathTrainer_problems',
+    CHAIN_PRESETS: 'mathTrainer_chainPresets',
+    WORKOUTS: 'mathTrainer_workouts',
+    ACHIEVEMENTS: 'mathTrainer_achievements'
 };
 
+// Shared by every profile on the device; everything in STORAGE_KEYS is per profile
+const PROFILE_KEYS = {
+    PROFILES: 'mathTrainer_profiles',
+    ACTIVE: 'mathTrainer_activeProfile'
+};
+
+// The default profile keeps the original key and database names, so data saved
+// before profiles existed becomes its history
+const DEFAULT_PROFILE = { id: 'default', name: 'Player 1', avatar: '🦊', color: '#8da9fc' };
+
+// Avatar and colour choices offered for new profiles
+const PROFILE_AVATARS = ['🦊', '🐼', '🐸', '🦁', '🐙', '🐝', '🚀', '⭐', '🎲', '🌈'];
+const PROFILE_COLORS = ['#8da9fc', '#86d9b4', '#fcd38d', '#fca5a5', '#f5a8d4', '#a5e4f5'];
+
+// IndexedDB holds the growing history lists; small settings stay in localStorage
+const DB_NAME = 'mathTrainer';
+const DB_VERSION = 5;
+
+// Object stores: the legacy localStorage key each one replaces, and its indexes.
+// Stores load whole by timestamp; the analytics for one mode or operation query the others.
+const DB_STORES = {
+    sessions: { legacyKey: STORAGE_KEYS.SESSIONS, indexes: ['mode', 'timestamp'] },
+    solveTimes: { legacyKey: STORAGE_KEYS.SOLVE_TIMES, indexes: ['mode', 'operation', 'timestamp'] },
+    wrongAnswers: { legacyKey: STORAGE_KEYS.HISTORY, indexes: ['operation', 'timestamp'] },
+    problems: { legacyKey: STORAGE_KEYS.PROBLEMS, indexes: ['operation', 'timestamp'] }
+};
+
+// Version of the export file format; bump and add a migration when it changes
+const EXPORT_SCHEMA_VERSION = 3;
+const EXPORT_APP_ID = 'mental-math-trainer';
+
 const OPERATIONS = {
     multiplication: { symbol: '×', name: 'Multiplication' },
     addition: { symbol: '+', name: 'Addition' },
     subtraction: { symbol: '−', name: 'Subtraction' },
     division: { symbol: '÷', name: 'Division' },
     mixed: { symbol: '?', name: 'Mixed' },
-    chain: { symbol: '⟶', name: 'Chain Math' }
+    chain: { symbol: '⟶', name: 'Chain Math' },
+    review: { symbol: '↻', name: 'Review' },
+    drill: { symbol: '×', name: 'Fact Drill' },
+    retry: { symbol: '↺', name: 'Retry Missed' },
+    exponent: { symbol: '^', name: 'Squares & Cubes' },
+    percentage: { symbol: '%', name: 'Percentages', inputMode: 'decimal' },
+    fraction: { symbol: '⁄', name: 'Fractions', inputMode: 'text' },
+    decimal: { symbol: '.', name: 'Decimals', inputMode: 'decimal' },
+    ...Object.fromEntries(Object.entries(TECHNIQUE_DRILLS)
+        .map(([key, drill]) => [key, { symbol: drill.symbol, name: drill.name }]))
 };
 
 const DEFAULT_SETTINGS = {
     digitRange: 2,
     chainLength: 5,
+    chainInterval: 1000,
+    chainDigits: 0,
+    chainSigns: 'mixed',
+    chainAllowNegative: false,
+    chainGap: false,
+    chainAudio: 'off',
+    chainVoice: '',
+    chainSpeechRate: 1,
+    chainSpeechLang: 'en-US',
+    chainHideDisplay: false,
     targetTime: 5,
     targetStreak: 10,
-    darkMode: false
+    sessionLength: 20,
+    dailyGoalType: 'problems',
+    dailyGoalTarget: 100,
+    streakFreezes: true,
+    darkMode: false,
+    adaptive: false,
+    adaptiveTarget: 80,
+    explainMistakes: true,
+    allowNegative: false,
+    keypad: 'auto'
+};
+
+// Default daily goal for each goal type: problems answered or minutes practised
+const DAILY_GOAL_DEFAULTS = { problems: 100, minutes: 10 };
+
+// Every STREAK_FREEZE_DAYS goal days earn a freeze (up to MAX_STREAK_FREEZES);
+// a missed day spends one instead of breaking the streak
+const STREAK_FREEZE_DAYS = 7;
+const MAX_STREAK_FREEZES = 2;
+
+// Weeks shown in the practice calendar, ending with the current week
+const CALENDAR_WEEKS = 53;
+
+// Circumference of the home screen goal ring (r = 26)
+const GOAL_RING_LENGTH = 2 * Math.PI * 26;
+
+// Rolling averages shown per operation. trim = solves dropped from each end
+// (Mo3 is a plain mean; long averages drop ~5% like speedcubing timers do)
+const AVERAGE_METRICS = [
+    { key: 'mo3', label: 'Mo3', n: 3, trim: 0 },
+    { key: 'ao5', label: 'Ao5', n: 5, trim: 1 },
+    { key: 'ao12', label: 'Ao12', n: 12, trim: 1 },
+    { key: 'ao50', label: 'Ao50', n: 50, trim: 3 },
+    { key: 'ao100', label: 'Ao100', n: 100, trim: 5 }
+];
+
+// Progress chart metrics: how each is drawn and labelled
+const CHART_METRICS = {
+    meanTime: { label: 'Daily Mean Time', type: 'line', format: v => formatTime(v) },
+    ao12: { label: 'Rolling Ao12', type: 'line', format: v => formatTime(v) },
+    accuracy: { label: 'Accuracy', type: 'line', format: v => v.toFixed(0) + '%', max: 100 },
+    problems: { label: 'Problems per Day', type: 'bar', format: v => `${v} problems` }
+};
+
+// Progress chart drawing area (SVG viewBox units)
+const CHART_SIZE = { width: 600, height: 220, left: 48, right: 12, top: 12, bottom: 28 };
+
+// Session formats: each has its own end condition and personal best.
+// record: 'time' = fastest completion wins, 'score' = most correct wins
+const SESSION_FORMATS = {
+    free: { name: 'Free Practice', record: null },
+    count: { name: 'Fixed Count', record: 'time' },
+    blitz: { name: '60s Blitz', record: 'score' },
+    survival: { name: 'Survival', record: 'score' },
+    streak: { name: 'Streak Goal', record: 'time' },
+    daily: { name: 'Daily Challenge', record: 'time' }
+};
+
+// Modes that follow the "allow negative results" setting (chain has its own)
+const NEGATIVE_RESULT_MODES = ['subtraction', 'mixed'];
+
+// Home screen shortcut keys for the practice modes
+const HOME_SHORTCUTS = {
+    1: 'multiplication',
+    2: 'addition',
+    3: 'subtraction',
+    4: 'division',
+    5: 'percentage',
+    6: 'fraction',
+    7: 'decimal',
+    8: 'mixed',
+    9: 'chain',
+    0: 'review'
 };
 
-// Mixed mode difficulty levels: maps level -> max number
-const MIXED_DIFFICULTIES = {
-    0: 0,    // Don't Train
-    1: 9,    // Warm Up
-    2: 50,   // Easy
-    3: 100,  // Medium
-    4: 250,  // Hard
-    5: 500   // Extra Hard
+// Screens that can be opened directly from a URL (practice and daily have their own routes)
+const ROUTED_SCREENS = ['home', 'analytics', 'history', 'settings', 'trophies', 'power', 'multiplication'];
+
+// Number range labels by digit range setting
+const DIGIT_RANGE_LABELS = { 1: '1-9', 2: '1-99', 3: '1-999' };
+
+// Modes that can't be saved in a workout (they depend on saved history)
+const WORKOUT_EXCLUDED_MODES = ['review', 'drill', 'retry'];
+
+// Session review sparkline size (SVG units)
+const SPARKLINE_SIZE = { width: 300, height: 48, padding: 4 };
+
+// Outcomes a reviewed problem can have (also used as its CSS class)
+const REVIEW_STATUSES = ['correct', 'wrong', 'skip', 'timeout'];
+
+// Daily Challenge: everyone gets the same problems for a given (UTC) date
+const DAILY_CHALLENGE = {
+    mode: 'mixed',
+    format: 'daily',
+    goal: 30,
+    timeLimit: 30,
+    digitRange: 2
 };
 
+// Seconds counted down before a paused session resumes
+const RESUME_COUNTDOWN = 3;
+
+// Allowed Flash Anzan chain lengths (numbers) and flash intervals (ms)
+const CHAIN_LENGTH_LIMITS = { min: 2, max: 100 };
+const CHAIN_INTERVAL_LIMITS = { min: 100, max: 5000 };
+
+// Built-in competition-style Flash Anzan presets
+// digits: 0 = follow the Number Range setting; signs: 'add' or 'mixed'
+const CHAIN_PRESETS = [
+    { length: 5, digits: 1, interval: 1000, signs: 'add', allowNegative: false, gap: false },
+    { length: 10, digits: 1, interval: 700, signs: 'add', allowNegative: false, gap: true },
+    { length: 10, digits: 2, interval: 1000, signs: 'mixed', allowNegative: false, gap: false },
+    { length: 15, digits: 2, interval: 700, signs: 'add', allowNegative: false, gap: true },
+    { length: 15, digits: 3, interval: 500, signs: 'add', allowNegative: false, gap: true },
+    { length: 20, digits: 1, interval: 200, signs: 'add', allowNegative: false, gap: true }
+];
+
+// Display names for the mixed mode difficulty levels
+const MIXED_LEVEL_NAMES = ["Don't Train", 'Warm Up', 'Easy', 'Medium', 'Hard', 'Extra Hard'];
+
+// Adaptive difficulty levels: maps level -> max number
+const ADAPTIVE_LEVELS = [9, 20, 50, 99, 250, 500, 999];
+
+// Starting adaptive level for operations without a saved level, by digit range
+const ADAPTIVE_START_LEVEL = { 1: 0, 2: 3, 3: 6 };
+
+// Number of answers at the current level needed before the level can change
+const ADAPTIVE_WINDOW = 8;
+
+// Accuracy band (fraction) around the target success rate that holds the level steady
+const ADAPTIVE_MARGIN = 0.1;
+
+// Review deck Leitner boxes: maps box -> delay before the card is due again.
+// A card that is answered fast and correctly in the last box graduates.
+const REVIEW_INTERVALS = [
+    0,                      // Box 0: due immediately
+    10 * 60 * 1000,         // Box 1: 10 minutes
+    24 * 60 * 60 * 1000,    // Box 2: 1 day
+    3 * 24 * 60 * 60 * 1000, // Box 3: 3 days
+    7 * 24 * 60 * 60 * 1000  // Box 4: 1 week
+];
+
 // Default mixed mode configuration
 const DEFAULT_MIXED_CONFIG = {
     exponent: 2,
     multiplication: 2,
     addition: 2,
     subtraction: 2,
-    division: 2
+    division: 2,
+    percentage: 0,
+    fraction: 0,
+    decimal: 0
 };
 
 // ============================================
@@ -57,8 +246,20 @@ const DEFAULT_MIXED_CONFIG = {
 
 const state = {
     currentScreen: 'home',
+    route: null,
+    profileId: DEFAULT_PROFILE.id,
     currentMode: null,
     timeLimit: 30,
+    sessionFormat: 'free',
+
+    // Practice screen timer tick
+    timerInterval: null,
+
+    // Pending step of the countdown out of a pause
+    resumeTimer: null,
+
+    // Pending move to the next problem after answer feedback
+    advanceTimer: null,
 
     // Session state
     session: {
@@ -68,15 +269,14 @@ const state = {
         correct: 0,
         total: 0,
         times: [],
-        startTime: null,
-        timerInterval: null
+        startTime: null
     },
 
     // Chain Math state
     chain: {
         numbers: [],
         currentIndex: 0,
-        displayInterval: null,
+        playback: null,
         isDisplaying: false
     },
 
@@ -84,7 +284,31 @@ const state = {
     settings: { ...DEFAULT_SETTINGS },
 
     // Mixed mode per-operation difficulty config
-    mixedConfig: { ...DEFAULT_MIXED_CONFIG }
+    mixedConfig: { ...DEFAULT_MIXED_CONFIG },
+
+    // Adaptive difficulty level per operation (index into ADAPTIVE_LEVELS)
+    adaptiveLevels: {},
+
+    // Progress chart: selected metric and the points currently drawn
+    chart: {
+        metric: 'meanTime',
+        points: []
+    }
+};
+
+// Headless session logic (engine.js); the practice screen follows its events
+const engine = new TrainerEngine({
+    generate: generateSessionProblem,
+    storage: { saveSolveTime, saveProblemRecord, saveWrongAnswer, saveSession }
+});
+
+// In-memory copy of the IndexedDB stores so reads never wait on the database
+const store = {
+    db: null,
+    sessions: [],
+    solveTimes: [],
+    wrongAnswers: [],
+    problems: []
 };
 
 // ============================================
@@ -100,7 +324,8 @@ const elements = {
         history: document.getElementById('history-screen'),
         settings: document.getElementById('settings-screen'),
         power: document.getElementById('power-screen'),
-        multiplication: document.getElementById('multiplication-screen')
+        multiplication: document.getElementById('multiplication-screen'),
+        trophies: document.getElementById('trophies-screen')
     },
 
     // Power Table elements
@@ -117,15 +342,51 @@ const elements = {
     // Checking previous step... I used document.getElementById inside the function.
     // So I don't strictly need to update this, but adding the screen to 'screens' is CRITICAL for showScreen to work.
 
+    // Multiplication Table heatmap
+    multiplicationTable: document.getElementById('multiplication-table-el'),
+    heatmapMode: document.getElementById('heatmap-mode'),
+    heatmapLegend: document.getElementById('heatmap-legend'),
+
     // Home screen
     modeButtons: document.querySelectorAll('.mode-btn'),
-    timeButtons: document.querySelectorAll('.time-btn'),
+    reviewDueCount: document.getElementById('review-due-count'),
+    timeButtons: document.querySelectorAll('.time-btn[data-time]'),
+    formatButtons: document.querySelectorAll('.time-btn[data-format]'),
+    formatCountBtn: document.getElementById('format-count-btn'),
+    formatStreakBtn: document.getElementById('format-streak-btn'),
+
+    // Daily challenge
+    dailyChallengeBtn: document.getElementById('daily-challenge-btn'),
+    dailyStatus: document.getElementById('daily-status'),
+
+    // Workouts
+    workoutList: document.getElementById('workout-list'),
+    workoutManageList: document.getElementById('workout-manage-list'),
+    workoutModal: document.getElementById('workout-modal'),
+
+    // Profiles
+    profileSwitcher: document.getElementById('profile-switcher'),
+    profileModal: document.getElementById('profile-modal'),
+    profileList: document.getElementById('profile-list'),
+    profileManageList: document.getElementById('profile-manage-list'),
+    profileEditorModal: document.getElementById('profile-editor-modal'),
+
+    // Daily goal and streak
+    goalRingFill: document.getElementById('goal-ring-fill'),
+    goalProgress: document.getElementById('goal-progress'),
+    goalLabel: document.getElementById('goal-label'),
+    dayStreak: document.getElementById('day-streak'),
+    streakDetail: document.getElementById('streak-detail'),
 
     // Practice screen
     currentMode: document.getElementById('current-mode'),
     sessionProgress: document.getElementById('session-progress'),
+    adaptiveLevel: document.getElementById('adaptive-level'),
     timerFill: document.getElementById('timer-fill'),
     timerText: document.getElementById('timer-text'),
+    pausePanel: document.getElementById('pause-panel'),
+    pauseTitle: document.getElementById('pause-title'),
+    resumeBtn: document.getElementById('resume-btn'),
     problemDisplay: document.getElementById('problem-display'),
     chainDisplay: document.getElementById('chain-display'),
     chainNumbers: document.getElementById('chain-numbers'),
@@ -136,11 +397,23 @@ const elements = {
     statAccuracy: document.getElementById('stat-accuracy'),
     statAvgTime: document.getElementById('stat-avg-time'),
 
+    // Mistake explanations
+    explanationPanel: document.getElementById('explanation-panel'),
+    explanationContent: document.getElementById('explanation-content'),
+    explanationContinue: document.getElementById('explanation-continue'),
+
     // Complete screen
+    completeTitle: document.getElementById('complete-title'),
+    completeFormat: document.getElementById('complete-format'),
+    completeRecord: document.getElementById('complete-record'),
+    completeSeed: document.getElementById('complete-seed'),
     completeScore: document.getElementById('complete-score'),
     completeAccuracy: document.getElementById('complete-accuracy'),
     completeAvgTime: document.getElementById('complete-avg-time'),
     completeBestTime: document.getElementById('complete-best-time'),
+    completeAchievements: document.getElementById('complete-achievements'),
+    completeReviewBtn: document.getElementById('complete-review-btn'),
+    completeReview: document.getElementById('complete-review'),
 
     // Analytics screen
     ao5Value: document.getElementById('ao5-value'),
@@ -150,11 +423,31 @@ const elements = {
     overallAvgTime: document.getElementById('overall-avg-time'),
     personalBest: document.getElementById('personal-best'),
     operationStats: document.getElementById('operation-stats'),
+    averagesOperation: document.getElementById('averages-operation'),
+    chartTabs: document.querySelectorAll('.chart-tab'),
+    chartOperation: document.getElementById('chart-operation'),
+    chartRange: document.getElementById('chart-range'),
+    chartArea: document.getElementById('chart-area'),
+    chartTooltip: document.getElementById('chart-tooltip'),
+    formatRecords: document.getElementById('format-records'),
+
+    // Practice calendar
+    calendarHeatmap: document.getElementById('calendar-heatmap'),
+    calendarCurrent: document.getElementById('calendar-current'),
+    calendarLongest: document.getElementById('calendar-longest'),
+    calendarFreezes: document.getElementById('calendar-freezes'),
 
     // History screen
     sessionsList: document.getElementById('sessions-list'),
     wrongList: document.getElementById('wrong-list'),
 
+    // Trophies screen
+    trophyCount: document.getElementById('trophy-count'),
+    trophyList: document.getElementById('trophy-list'),
+
+    // App update banner
+    updateBanner: document.getElementById('update-banner'),
+
     // Settings
     digitRange: document.getElementById('digit-range'),
     chainLength: document.getElementById('chain-length'),
@@ -163,7 +456,31 @@ const elements = {
     digitRange: document.getElementById('digit-range'),
     chainLength: document.getElementById('chain-length'),
     targetTime: document.getElementById('target-time'),
-    targetStreak: document.getElementById('target-streak')
+    targetStreak: document.getElementById('target-streak'),
+    sessionLength: document.getElementById('session-length'),
+    dailyGoalType: document.getElementById('daily-goal-type'),
+    dailyGoalTarget: document.getElementById('daily-goal-target'),
+    streakFreezes: document.getElementById('streak-freezes'),
+    adaptiveDifficulty: document.getElementById('adaptive-difficulty'),
+    explainMistakes: document.getElementById('explain-mistakes'),
+    allowNegative: document.getElementById('allow-negative'),
+    keypadSetting: document.getElementById('keypad-setting'),
+    keypad: document.getElementById('keypad'),
+    shortcutsModal: document.getElementById('shortcuts-modal'),
+    adaptiveTarget: document.getElementById('adaptive-target'),
+    chainPreset: document.getElementById('chain-preset'),
+    chainInterval: document.getElementById('chain-interval'),
+    chainDigits: document.getElementById('chain-digits'),
+    chainSigns: document.getElementById('chain-signs'),
+    chainAllowNegative: document.getElementById('chain-allow-negative'),
+    chainGap: document.getElementById('chain-gap'),
+    chainAudio: document.getElementById('chain-audio'),
+    chainVoice: document.getElementById('chain-voice'),
+    chainSpeechRate: document.getElementById('chain-speech-rate'),
+    chainSpeechLang: document.getElementById('chain-speech-lang'),
+    chainHideDisplay: document.getElementById('chain-hide-display'),
+    importMode: document.getElementById('import-mode'),
+    importFile: document.getElementById('import-file')
 };
 
 // ============================================
@@ -171,18 +488,21 @@ const elements = {
 // ============================================
 
 /**
- * Generate a random integer between min and max (inclusive)
+ * Get maximum number based on the session's digit range
  */
-function randomInt(min, max) {
-    return Math.floor(Math.random() * (max - min + 1)) + min;
+function getMaxNumber() {
+    return DIGIT_RANGE_MAX[state.session.digitRange ?? state.settings.digitRange] || 99;
 }
 
 /**
- * Get maximum number based on digit range setting
+ * Escape text for safe use inside HTML
  */
-function getMaxNumber() {
-    const ranges = { 1: 9, 2: 99, 3: 999 };
-    return ranges[state.settings.digitRange] || 99;
+function escapeHtml(text) {
+    return String(text)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
 }
 
 /**
@@ -195,6 +515,16 @@ function formatTime(seconds) {
     return seconds.toFixed(2) + 's';
 }
 
+/**
+ * Get a local YYYY-MM-DD key for the day a timestamp falls on
+ */
+function getDayKey(timestamp) {
+    const date = new Date(timestamp);
+    const month = String(date.getMonth() + 1).padStart(2, '0');
+    const day = String(date.getDate()).padStart(2, '0');
+    return `${date.getFullYear()}-${month}-${day}`;
+}
+
 /**
  * Format date to readable string
  */
@@ -213,33 +543,24 @@ function formatDate(timestamp) {
 // ============================================
 
 /**
- * Generate an exponent problem (base^exp)
+ * Generate a math problem based on operation type.
+ * Pass a seeded rng to make the sequence of problems reproducible.
  */
-function generateExponentProblem(max) {
-    // For exponents, limit base to a reasonable range
-    const maxBase = Math.min(max, 20);
-    const base = randomInt(2, maxBase);
-    const exp = randomInt(2, 3); // Only squares and cubes
-    const answer = Math.pow(base, exp);
-    const displayText = `${base}${exp === 2 ? '²' : '³'}`;
+function generateProblem(mode, rng = Math.random) {
+    if (mode === 'review') {
+        return generateReviewProblem();
+    }
 
-    return {
-        a: base,
-        b: exp,
-        answer,
-        symbol: '^',
-        operation: 'exponent',
-        displayText
-    };
-}
+    if (mode === 'drill') {
+        return generateDrillProblem(rng);
+    }
+
+    if (mode === 'retry') {
+        return generateRetryProblem();
+    }
 
-/**
- * Generate a math problem based on operation type
- */
-function generateProblem(mode) {
     let max = getMaxNumber();
-    let a, b, answer, symbol, operation;
-    let displayText;
+    let operation, problem;
     let attempts = 0;
 
     do {
@@ -248,115 +569,118 @@ function generateProblem(mode) {
 
         // Handle mixed mode by randomly selecting an enabled operation
         if (operation === 'mixed') {
-            const enabledOps = [];
-            if (state.mixedConfig.exponent > 0) enabledOps.push('exponent');
-            if (state.mixedConfig.multiplication > 0) enabledOps.push('multiplication');
-            if (state.mixedConfig.addition > 0) enabledOps.push('addition');
-            if (state.mixedConfig.subtraction > 0) enabledOps.push('subtraction');
-            if (state.mixedConfig.division > 0) enabledOps.push('division');
+            const mixedConfig = state.session.mixedConfig ?? state.mixedConfig;
+            const enabledOps = Object.keys(DEFAULT_MIXED_CONFIG).filter(op => mixedConfig[op] > 0);
 
             if (enabledOps.length === 0) {
                 // Fallback if nothing enabled
                 enabledOps.push('addition');
             }
 
-            operation = enabledOps[randomInt(0, enabledOps.length - 1)];
+            operation = enabledOps[randomInt(0, enabledOps.length - 1, rng)];
 
             // Use per-operation max from mixedConfig
-            const diffLevel = state.mixedConfig[operation] || 2;
+            const diffLevel = mixedConfig[operation] || 2;
             max = MIXED_DIFFICULTIES[diffLevel] || 50;
         }
 
-        // Handle exponent separately
-        if (operation === 'exponent') {
-            const problem = generateExponentProblem(max);
-            displayText = problem.displayText;
-            a = problem.a;
-            b = problem.b;
-            answer = problem.answer;
-            symbol = problem.symbol;
-        } else {
-            switch (operation) {
-                case 'multiplication':
-                    a = randomInt(2, max);
-                    b = randomInt(2, max);
-                    answer = a * b;
-                    symbol = '×';
-                    break;
-
-                case 'addition':
-                    a = randomInt(1, max);
-                    b = randomInt(1, max);
-                    answer = a + b;
-                    symbol = '+';
-                    break;
-
-                case 'subtraction':
-                    a = randomInt(1, max);
-                    b = randomInt(1, a); // Ensure positive result
-                    answer = a - b;
-                    symbol = '−';
-                    break;
-
-                case 'division':
-                    // Generate problems with clean division
-                    b = randomInt(2, Math.min(max, 50)); // Limit divisor for sane problems
-                    answer = randomInt(1, Math.min(max, 50));
-                    a = b * answer;
-                    symbol = '÷';
-                    break;
-
-                default:
-                    a = randomInt(1, max);
-                    b = randomInt(1, max);
-                    answer = a + b;
-                    symbol = '+';
-            }
-
-            displayText = `${a} ${symbol} ${b}`;
+        // Adaptive difficulty overrides the fixed ranges
+        if (state.session.adaptive) {
+            max = getAdaptiveMax(operation);
         }
 
-    } while (attempts < 50 && state.session && state.session.usedProblems && state.session.usedProblems.has(displayText));
+        problem = generateOperationProblem(operation, max, rng, state.session?.allowNegative);
+
+    } while (attempts < 50 && state.session && state.session.usedProblems && state.session.usedProblems.has(problem.displayText));
 
     // Register the problem as used
     if (state.session && state.session.usedProblems) {
-        state.session.usedProblems.add(displayText);
+        state.session.usedProblems.add(problem.displayText);
+    }
+
+    return {
+        ...problem,
+        level: state.session.adaptive ? getAdaptiveLevel(operation) : null
+    };
+}
+
+/**
+ * Serve the next multiplication fact from the session's drill list.
+ * Facts are shuffled and each is served once before any repeats.
+ */
+function generateDrillProblem(rng = Math.random) {
+    const session = state.session;
+
+    if (!session.drillQueue || session.drillQueue.length === 0) {
+        session.drillQueue = [...session.facts];
+        for (let i = session.drillQueue.length - 1; i > 0; i--) {
+            const j = randomInt(0, i, rng);
+            [session.drillQueue[i], session.drillQueue[j]] = [session.drillQueue[j], session.drillQueue[i]];
+        }
     }
 
+    let [a, b] = session.drillQueue.pop();
+    if (rng() < 0.5) [a, b] = [b, a];
+
     return {
         a,
         b,
-        answer,
-        symbol,
-        operation,
-        displayText
+        answer: a * b,
+        symbol: '×',
+        operation: 'multiplication',
+        displayText: `${a} × ${b}`
     };
 }
 
+/**
+ * Serve the next missed problem being retried, in the order they were first asked
+ */
+function generateRetryProblem() {
+    const entry = state.session.retryProblems?.[state.session.total];
+    if (!entry) return null;
+
+    if (entry.numbers) {
+        return {
+            numbers: entry.numbers,
+            answer: entry.correctAnswer,
+            displayText: entry.text,
+            operation: 'chain',
+            awaitsDisplay: true
+        };
+    }
+
+    const { a, b, symbol, operation, correctAnswer, text } = entry;
+    return { a, b, symbol, operation, answer: correctAnswer, displayText: text };
+}
+
 /**
  * Generate chain math (Flash Anzan) numbers
  */
-function generateChain() {
-    const length = state.settings.chainLength;
-    const max = getMaxNumber();
+function generateChain(rng = Math.random) {
+    const config = state.session.chainConfig ?? getChainConfig();
+    const max = state.session.adaptive ? getAdaptiveMax('chain') : getMaxNumber();
     const numbers = [];
     let runningTotal = 0;
 
-    for (let i = 0; i < length; i++) {
+    // Fixed digit count (e.g. 3 digits = 100-999), otherwise follow the number range
+    const min = config.digits > 0 ? (config.digits === 1 ? 1 : Math.pow(10, config.digits - 1)) : 1;
+    const top = config.digits > 0 ? Math.pow(10, config.digits) - 1 : Math.min(max, 50);
+
+    for (let i = 0; i < config.length; i++) {
         // Alternate between addition and subtraction to keep totals manageable
-        if (i === 0 || Math.random() > 0.4) {
-            const num = randomInt(1, Math.min(max, 50));
+        if (i === 0 || config.signs === 'add' || rng() > 0.4) {
+            const num = randomInt(min, top, rng);
             numbers.push({ value: num, operation: '+' });
             runningTotal += num;
         } else {
-            // Ensure we don't go negative
-            const maxSub = Math.min(runningTotal - 1, Math.min(max, 50));
-            if (maxSub > 0) {
-                const num = randomInt(1, maxSub);
+            // Ensure we don't go negative unless negative totals are allowed
+            const maxSub = config.allowNegative ? top : Math.min(runningTotal - 1, top);
+            if (maxSub >= min) {
+                const num = randomInt(min, maxSub, rng);
                 numbers.push({ value: num, operation: '-' });
                 runningTotal -= num;
             } else {
-                const num = randomInt(1, Math.min(max, 50));
+                const num = randomInt(min, top, rng);
                 numbers.push({ value: num, operation: '+' });
                 runningTotal += num;
             }
@@ -369,59 +693,158 @@ function generateChain() {
     };
 }
 
+/**
+ * Generate the next problem for the engine. Chain rounds wait for their
+ * numbers to finish flashing before the answer clock starts.
+ */
+function generateSessionProblem(mode, session) {
+    if (mode !== 'chain') {
+        return generateProblem(mode, session.rng);
+    }
+
+    const chain = generateChain(session.rng);
+    return {
+        numbers: chain.numbers,
+        answer: chain.answer,
+        displayText: 'Chain Math',
+        operation: 'chain',
+        level: session.adaptive ? getAdaptiveLevel('chain') : null,
+        awaitsDisplay: true
+    };
+}
+
 // ============================================
-// Timer Functions
+// Pause & Resume
 // ============================================
 
 /**
- * Start the problem timer
+ * Pause the running session (button, P, or leaving the tab). Pausing again
+ * during the resume countdown cancels it.
  */
-function startTimer() {
-    state.session.startTime = performance.now();
+function pauseSession() {
+    if (!state.session.active) return;
 
-    if (state.session.timerInterval) {
-        clearInterval(state.session.timerInterval);
+    if (state.resumeTimer) {
+        clearTimeout(state.resumeTimer);
+        state.resumeTimer = null;
+        showPausePanel();
+        return;
     }
 
-    state.session.timerInterval = setInterval(updateTimerDisplay, 50);
+    engine.pause();
 }
 
 /**
- * Stop the timer and return elapsed time
+ * Count down, then resume the paused session
  */
-function stopTimer() {
-    if (state.session.timerInterval) {
-        clearInterval(state.session.timerInterval);
-        state.session.timerInterval = null;
+function resumeSession() {
+    if (!state.session.paused || state.resumeTimer) return;
+
+    let count = RESUME_COUNTDOWN;
+    elements.resumeBtn.style.display = 'none';
+
+    const tick = () => {
+        if (count === 0) {
+            state.resumeTimer = null;
+            engine.resume();
+            return;
+        }
+        elements.pauseTitle.textContent = count--;
+        state.resumeTimer = setTimeout(tick, 1000);
+    };
+    tick();
+}
+
+function togglePause() {
+    if (state.session.paused && !state.resumeTimer) {
+        resumeSession();
+    } else {
+        pauseSession();
+    }
+}
+
+/**
+ * Hide the problem behind the pause panel and stop the ticking display
+ */
+function showPausePanel() {
+    stopTimer();
+    stopChainPlayback();
+
+    elements.screens.practice.classList.add('paused');
+    elements.pausePanel.style.display = 'flex';
+    elements.pauseTitle.textContent = 'Paused';
+    elements.resumeBtn.style.display = '';
+    elements.resumeBtn.focus();
+}
+
+function hidePausePanel() {
+    if (state.resumeTimer) {
+        clearTimeout(state.resumeTimer);
+        state.resumeTimer = null;
     }
+    elements.screens.practice.classList.remove('paused');
+    elements.pausePanel.style.display = 'none';
+}
+
+/**
+ * Back from a pause: replay an interrupted chain from its first number,
+ * otherwise carry on with the problem on screen
+ */
+function handleResume() {
+    hidePausePanel();
 
-    if (state.session.startTime) {
-        const elapsed = (performance.now() - state.session.startTime) / 1000;
-        state.session.startTime = null;
-        return elapsed;
+    if (state.chain.isDisplaying) {
+        displayChainNumbers();
+    } else if (state.session.awaitingAnswer) {
+        startTimer();
+        elements.answerInput.focus();
     }
+}
+
+// ============================================
+// Timer Functions
+// ============================================
+
+/**
+ * Start ticking the timer display for the current problem
+ */
+function startTimer() {
+    stopTimer();
+    state.timerInterval = setInterval(updateTimerDisplay, 50);
+}
 
-    return 0;
+/**
+ * Stop ticking the timer display
+ */
+function stopTimer() {
+    if (state.timerInterval) {
+        clearInterval(state.timerInterval);
+        state.timerInterval = null;
+    }
 }
 
 /**
  * Update timer display
  */
 function updateTimerDisplay() {
-    if (!state.session.startTime) return;
+    if (!state.session.awaitingAnswer) return;
 
-    const elapsed = (performance.now() - state.session.startTime) / 1000;
+    const elapsed = engine.elapsed();
     elements.timerText.textContent = formatTime(elapsed);
 
+    if (state.session.format === 'blitz') {
+        updateSessionProgress();
+    }
+
     // Update progress bar if time limit is set
     const timerDisplay = document.querySelector('.timer-display');
 
-    if (state.timeLimit > 0) {
+    if (state.session.timeLimit > 0) {
         timerDisplay.classList.remove('unlimited'); // Ensure unlimited class is removed
         elements.timerFill.style.display = 'block'; // Ensure bar is visible
         document.querySelector('.timer-bar').style.display = 'block';
 
-        const progress = Math.min((elapsed / state.timeLimit) * 100, 100);
+        const progress = Math.min((elapsed / state.session.timeLimit) * 100, 100);
         elements.timerFill.style.width = progress + '%';
 
         // Update color based on time remaining
@@ -431,11 +854,6 @@ function updateTimerDisplay() {
         } else if (progress > 60) {
             elements.timerFill.classList.add('warning');
         }
-
-        // Auto-skip if time runs out
-        if (elapsed >= state.timeLimit) {
-            handleTimeout();
-        }
     } else {
         // Unlimited time - Hide progress bar, Show Zen Timer
         timerDisplay.classList.add('unlimited');
@@ -443,23 +861,18 @@ function updateTimerDisplay() {
 }
 
 /**
- * Handle timeout when time limit is exceeded
+ * Handle the engine's timeout when the time limit is exceeded
  */
-function handleTimeout() {
-    const elapsed = stopTimer();
-
-    // Record as wrong answer
-    recordAnswer(false, elapsed);
+function handleTimeout({ problem }) {
+    stopTimer();
 
     // Show feedback
     elements.answerInput.classList.add('incorrect');
-    elements.answerFeedback.textContent = `Time's up! Answer: ${state.session.currentProblem.answer}`;
+    elements.answerFeedback.textContent = `Time's up! Answer: ${problem.answer}`;
     elements.answerFeedback.className = 'answer-feedback incorrect';
 
     // Move to next problem after a short delay
-    setTimeout(() => {
-        nextProblem();
-    }, 1000);
+    scheduleAdvance(1000);
 }
 
 // ============================================
@@ -467,42 +880,191 @@ function handleTimeout() {
 // ============================================
 
 /**
- * Start a new practice session
+ * Start a new practice session.
+ * Options (all optional) pin down a reproducible session: seed, format, goal,
+ * timeLimit, digitRange, chainConfig, mixedConfig, facts and daily (the challenge date).
  */
-function startSession(mode) {
-    state.currentMode = mode;
-    state.session = {
-        active: true,
-        problems: [],
-        currentProblem: null,
-        correct: 0,
-        total: 0,
-        times: [],
-        startTime: null,
-        timerInterval: null,
-        sessionStart: Date.now(),
-        usedProblems: new Set()
+function startSession(mode, options = {}) {
+    if (mode === 'review' && getDueReviewCards().length === 0) {
+        alert('No review cards are due. Missed problems will show up here.');
+        return;
+    }
+
+    const format = options.format ?? state.sessionFormat;
+
+    engine.start(mode, {
+        seed: options.seed,
+        // Pinned seeds (daily, replays, links) carry over to try again and share links
+        seeded: options.seed !== undefined,
+        format,
+        goal: options.goal ?? getFormatGoal(format),
+        daily: options.daily || null,
+        facts: options.facts || null,
+        drillQueue: null,
+        retryProblems: options.retryProblems || null,
+        timeLimit: options.timeLimit ?? state.timeLimit,
+        digitRange: options.digitRange ?? state.settings.digitRange,
+        allowNegative: options.allowNegative ?? state.settings.allowNegative,
+        chainConfig: options.chainConfig ?? getChainConfig(),
+        // A copy, so pinned configs (daily, replays, workouts) leave the user's own alone
+        mixedConfig: { ...(options.mixedConfig ?? state.mixedConfig) },
+        // Adaptive ranges would change the problems, so seeded replays stay fixed
+        adaptive: state.settings.adaptive && options.seed === undefined && !TECHNIQUE_DRILLS[mode]
+    });
+}
+
+/**
+ * Drive the practice and complete screens from the engine's session events
+ */
+function initEngineEvents() {
+    engine.on('sessionStart', session => {
+        cancelAdvance();
+        state.session = session;
+        state.currentMode = session.mode;
+        hidePausePanel();
+
+        // Update UI
+        elements.currentMode.textContent = OPERATIONS[session.mode].name;
+        updateSessionStats();
+
+        // Show practice screen
+        showScreen('practice');
+    });
+
+    engine.on('problem', problem => {
+        if (problem.operation === 'chain') {
+            startChainRound(problem);
+        } else {
+            showProblem(problem);
+        }
+    });
+
+    engine.on('result', ({ problem, correct, time }) => {
+        if (problem.reviewCardId) {
+            gradeReviewCard(problem.reviewCardId, correct, time);
+        } else if (state.session.adaptive) {
+            adjustDifficulty(problem.operation);
+        }
+
+        updateSessionStats();
+    });
+
+    engine.on('timeout', handleTimeout);
+    engine.on('pause', showPausePanel);
+    engine.on('resume', handleResume);
+    engine.on('sessionEnd', session => {
+        cancelAdvance();
+        showSessionResults(session);
+    });
+}
+
+/**
+ * Get the target a format is played to (problem count or streak length)
+ */
+function getFormatGoal(format) {
+    if (format === 'count') return state.settings.sessionLength;
+    if (format === 'streak') return state.settings.targetStreak;
+    return null;
+}
+
+/**
+ * Get a display label for a format, including its goal
+ */
+function getFormatLabel(format, goal) {
+    if (format === 'count') return `${goal} Problems`;
+    if (format === 'daily') return `Daily Challenge (${goal})`;
+    if (format === 'streak') return `Streak of ${goal}`;
+    return SESSION_FORMATS[format].name;
+}
+
+/**
+ * Get the options for today's Daily Challenge
+ */
+function getDailyChallengeOptions(date = new Date()) {
+    const day = date.toISOString().slice(0, 10);
+
+    return {
+        format: DAILY_CHALLENGE.format,
+        goal: DAILY_CHALLENGE.goal,
+        timeLimit: DAILY_CHALLENGE.timeLimit,
+        digitRange: DAILY_CHALLENGE.digitRange,
+        allowNegative: false,
+        mixedConfig: { ...DEFAULT_MIXED_CONFIG },
+        seed: `daily-${day}`,
+        daily: day
+    };
+}
+
+/**
+ * Start today's Daily Challenge
+ */
+function startDailyChallenge() {
+    startSession(DAILY_CHALLENGE.mode, getDailyChallengeOptions());
+}
+
+/**
+ * Get the options that replay a saved session problem-for-problem
+ */
+function getReplayOptions(session) {
+    return {
+        seed: session.seed,
+        format: session.format,
+        goal: session.goal,
+        timeLimit: session.timeLimit,
+        digitRange: session.digitRange,
+        allowNegative: session.allowNegative ?? false,
+        chainConfig: session.chainConfig,
+        mixedConfig: session.mixedConfig || undefined,
+        daily: session.daily,
+        facts: session.facts || undefined
+    };
+}
+
+/**
+ * Get the options that play the session just finished again: the same setup,
+ * and the same problems only when its seed was pinned
+ */
+function getTryAgainOptions(session) {
+    return {
+        ...getReplayOptions(session),
+        seed: session.seeded ? session.seed : undefined,
+        retryProblems: session.retryProblems || undefined
     };
+}
 
-    // Update UI
-    elements.currentMode.textContent = OPERATIONS[mode].name;
-    updateSessionStats();
+/**
+ * Replay a saved session by its timestamp
+ */
+function replaySession(timestamp) {
+    const session = loadSessions().find(s => s.timestamp === timestamp);
+    if (!session || !session.seed) return;
 
-    // Show practice screen
-    showScreen('practice');
+    if (session.adaptive) {
+        alert('This session used adaptive difficulty, so the replay will use fixed ranges and may differ.');
+    }
 
-    // Start first problem
-    if (mode === 'chain') {
-        startChainRound();
+    startSession(session.mode, getReplayOptions(session));
+}
+
+/**
+ * Show today's result on the Daily Challenge button
+ */
+function updateDailyChallengeButton() {
+    const { daily } = getDailyChallengeOptions();
+    const results = loadSessions().filter(s => s.daily === daily && s.completed);
+
+    if (results.length > 0) {
+        const best = results.reduce((min, s) => Math.min(min, s.duration), Infinity);
+        elements.dailyStatus.textContent = `✓ ${formatTime(best)}`;
     } else {
-        nextProblem();
+        elements.dailyStatus.textContent = daily;
     }
 }
 
 /**
- * Generate and display the next problem
+ * Display a problem served by the engine
  */
-function nextProblem() {
+function showProblem(problem) {
     // Reset UI
     elements.answerInput.value = '';
     elements.answerInput.className = 'answer-input';
@@ -513,23 +1075,24 @@ function nextProblem() {
 
     // Reset display potentially modified by unlimited mode
     const timerDisplay = document.querySelector('.timer-display');
-    if (state.timeLimit > 0) {
+    if (state.session.timeLimit > 0) {
         timerDisplay.classList.remove('unlimited');
         document.querySelector('.timer-bar').style.display = 'block';
     }
 
-    // Generate new problem
-    state.session.currentProblem = generateProblem(state.currentMode);
+    updateAdaptiveLevelDisplay();
+
+    // Fractions need a keyboard with "/", decimals and percents need "."
+    setAnswerInputMode(OPERATIONS[problem.operation]?.inputMode || 'numeric');
 
     // Display problem
-    elements.problemDisplay.querySelector('.problem-text').textContent =
-        state.session.currentProblem.displayText;
+    elements.problemDisplay.querySelector('.problem-text').textContent = problem.displayText;
 
     // Show problem display, hide chain display
     elements.problemDisplay.style.display = 'block';
     elements.chainDisplay.style.display = 'none';
 
-    // Focus input and start timer
+    // Focus input and start the timer display
     elements.answerInput.focus();
     startTimer();
 }
@@ -537,21 +1100,14 @@ function nextProblem() {
 /**
  * Start a chain math round
  */
-function startChainRound() {
-    // Generate chain
-    const chain = generateChain();
+function startChainRound(problem) {
     state.chain = {
-        numbers: chain.numbers,
-        answer: chain.answer,
+        numbers: problem.numbers,
+        answer: problem.answer,
         currentIndex: 0,
         isDisplaying: true
     };
-
-    state.session.currentProblem = {
-        answer: chain.answer,
-        displayText: 'Chain Math',
-        operation: 'chain'
-    };
+    updateAdaptiveLevelDisplay();
 
     // Setup UI
     elements.problemDisplay.style.display = 'none';
@@ -559,11 +1115,12 @@ function startChainRound() {
     elements.answerInput.value = '';
     elements.answerInput.className = 'answer-input';
     elements.answerInput.disabled = true;
+    setAnswerInputMode('numeric');
     elements.answerFeedback.textContent = 'Watch the numbers...';
     elements.answerFeedback.className = 'answer-feedback';
 
     // Create progress dots
-    elements.chainProgress.innerHTML = chain.numbers.map((_, i) =>
+    elements.chainProgress.innerHTML = problem.numbers.map((_, i) =>
         `<span class="dot" data-index="${i}"></span>`
     ).join('');
 
@@ -575,36 +1132,157 @@ function startChainRound() {
  * Display chain numbers one by one
  */
 function displayChainNumbers() {
-    const displayTime = 1000; // Time to show each number
+    const config = state.session.chainConfig ?? getChainConfig();
+    const audio = getChainAudio();
+
+    // Numbers can only be hidden when they are spoken aloud
+    const hidden = audio && audio.adapter === speechAdapter && state.settings.chainHideDisplay;
+    if (audio && state.settings.chainAudio === 'speech' && audio.adapter !== speechAdapter) {
+        elements.answerFeedback.textContent = 'Speech unavailable, using beeps...';
+    } else if (hidden) {
+        elements.answerFeedback.textContent = 'Listen to the numbers...';
+    }
 
-    function showNumber(index) {
-        if (index >= state.chain.numbers.length) {
+    // A replay after a pause replaces the interrupted playback
+    stopChainPlayback();
+    state.chain.playback = playChain(state.chain.numbers, {
+        interval: config.interval,
+        gap: config.gap,
+        audio,
+
+        onNumber(item, index) {
+            const sign = item.operation === '+' ? '+' : '−';
+            elements.chainNumbers.textContent = hidden ? '♪' : (index === 0 ? item.value : `${sign}${item.value}`);
+
+            // Update progress dots
+            const dots = elements.chainProgress.querySelectorAll('.dot');
+            dots.forEach((dot, i) => {
+                dot.classList.remove('active', 'done');
+                if (i < index) dot.classList.add('done');
+                if (i === index) dot.classList.add('active');
+            });
+        },
+
+        onBlank() {
+            elements.chainNumbers.textContent = '';
+        },
+
+        onDone() {
             // All numbers shown, start answer phase
+            state.chain.playback = null;
             elements.chainNumbers.textContent = '?';
             elements.answerFeedback.textContent = 'What is the total?';
             elements.answerInput.disabled = false;
             elements.answerInput.focus();
             state.chain.isDisplaying = false;
+            engine.startTiming();
             startTimer();
-            return;
         }
+    });
+}
+
+/**
+ * Stop flashing and speaking the chain on screen
+ */
+function stopChainPlayback() {
+    if (state.chain.playback) {
+        state.chain.playback.stop();
+        state.chain.playback = null;
+    }
+    speechAdapter.cancel();
+}
 
-        const item = state.chain.numbers[index];
-        const sign = item.operation === '+' ? '+' : '−';
-        elements.chainNumbers.textContent = index === 0 ? item.value : `${sign}${item.value}`;
+/**
+ * Get the Flash Anzan configuration from settings
+ */
+function getChainConfig() {
+    return {
+        length: state.settings.chainLength,
+        interval: state.settings.chainInterval,
+        digits: state.settings.chainDigits,
+        signs: state.settings.chainSigns,
+        allowNegative: state.settings.chainAllowNegative,
+        gap: state.settings.chainGap
+    };
+}
 
-        // Update progress dots
-        const dots = elements.chainProgress.querySelectorAll('.dot');
-        dots.forEach((dot, i) => {
-            dot.classList.remove('active', 'done');
-            if (i < index) dot.classList.add('done');
-            if (i === index) dot.classList.add('active');
-        });
+/**
+ * Apply a Flash Anzan configuration to settings
+ */
+function applyChainConfig(config) {
+    state.settings.chainLength = config.length;
+    state.settings.chainInterval = config.interval;
+    state.settings.chainDigits = config.digits;
+    state.settings.chainSigns = config.signs;
+    state.settings.chainAllowNegative = config.allowNegative;
+    state.settings.chainGap = config.gap;
+}
+
+/**
+ * Describe a Flash Anzan configuration, e.g. "3 digits × 15 rows @ 0.5s"
+ */
+function describeChainConfig(config) {
+    const digits = config.digits > 0 ? `${config.digits} digit${config.digits === 1 ? '' : 's'}` : 'Range';
+    let label = `${digits} × ${config.length} rows @ ${config.interval / 1000}s`;
+
+    if (config.signs === 'mixed') label += ' ±';
+    if (config.allowNegative) label += ' (neg)';
+    return label;
+}
+
+/**
+ * Get built-in and saved Flash Anzan presets, each with an id and label
+ */
+function getChainPresets() {
+    const builtIn = CHAIN_PRESETS.map((preset, i) => ({ ...preset, id: `builtin-${i}`, builtIn: true }));
+    const saved = loadChainPresets().map(preset => ({ ...preset, builtIn: false }));
+
+    return [...builtIn, ...saved].map(preset => ({
+        ...preset,
+        label: preset.name || describeChainConfig(preset)
+    }));
+}
+
+/**
+ * Find the preset matching the current chain settings, if any
+ */
+function findMatchingChainPreset() {
+    const current = getChainConfig();
+    return getChainPresets().find(preset =>
+        Object.keys(current).every(key => preset[key] === current[key])
+    );
+}
+
+/**
+ * Save the current chain settings as a named preset
+ */
+function saveCurrentChainPreset() {
+    const config = getChainConfig();
+    const name = prompt('Name this preset:', describeChainConfig(config));
+    if (name === null) return;
+
+    const presets = loadChainPresets();
+    presets.push({ ...config, id: `custom-${Date.now()}`, name: name.trim() || describeChainConfig(config) });
+    saveChainPresets(presets);
+    updateSettingsUI();
+}
 
-        setTimeout(() => showNumber(index + 1), displayTime);
+/**
+ * Delete the selected saved preset
+ */
+function deleteChainPreset() {
+    const id = elements.chainPreset.value;
+    const preset = getChainPresets().find(p => p.id === id);
+
+    if (!preset || preset.builtIn) {
+        alert('Only presets you saved can be deleted.');
+        return;
     }
 
-    showNumber(0);
+    if (confirm(`Delete the preset "${preset.label}"?`)) {
+        saveChainPresets(loadChainPresets().filter(p => p.id !== id));
+        updateSettingsUI();
+    }
 }
 
 /**
@@ -613,93 +1291,96 @@ function displayChainNumbers() {
 function submitAnswer() {
     if (state.chain.isDisplaying) return;
 
-    const userAnswer = parseInt(elements.answerInput.value);
-    const correctAnswer = state.session.currentProblem.answer;
-    const elapsed = stopTimer();
-
-    if (isNaN(userAnswer)) {
+    const result = engine.submit(elements.answerInput.value);
+    if (!result) {
         elements.answerInput.focus();
         return;
     }
+    stopTimer();
 
-    // Set submitting flag to prevent race conditions with auto-submit
-    state.session.submitting = true;
-
-    const isCorrect = userAnswer === correctAnswer;
-    recordAnswer(isCorrect, elapsed);
+    const { problem, correct, time } = result;
 
     // Show feedback
-    if (isCorrect) {
+    if (correct) {
         elements.answerInput.classList.add('correct');
-        elements.answerFeedback.textContent = `Correct! ${formatTime(elapsed)}`;
+        elements.answerFeedback.textContent = `Correct! ${formatTime(time)}`;
         elements.answerFeedback.className = 'answer-feedback correct';
     } else {
         elements.answerInput.classList.add('incorrect');
-        elements.answerFeedback.textContent = `Wrong! Answer: ${correctAnswer}`;
+        elements.answerFeedback.textContent = `Wrong! Answer: ${problem.answer}`;
         elements.answerFeedback.className = 'answer-feedback incorrect';
+    }
 
-        // Save wrong answer to history
-        saveWrongAnswer({
-            problem: state.session.currentProblem.displayText,
-            userAnswer,
-            correctAnswer,
-            operation: state.session.currentProblem.operation,
-            timestamp: Date.now()
-        });
+    // Misses with an explanation wait until the panel is dismissed
+    const explanation = correct || !state.settings.explainMistakes
+        ? null
+        : explainProblem(problem);
+    if (explanation) {
+        showExplanation(explanation);
+        return;
     }
 
     // Move to next problem after delay
-    setTimeout(() => {
-        if (state.currentMode === 'chain') {
-            startChainRound();
-        } else {
-            nextProblem();
-        }
-        state.session.submitting = false;
-    }, 800);
+    scheduleAdvance(800);
 }
 
 /**
- * Skip the current problem
+ * Pause on the practice screen and show how to solve the missed problem
  */
-function skipProblem() {
-    if (state.chain.isDisplaying) return;
-
-    const elapsed = stopTimer();
-    recordAnswer(false, elapsed);
+function showExplanation(explanation) {
+    elements.explanationContent.innerHTML = renderExplanation(explanation);
+    elements.explanationPanel.style.display = 'block';
+    elements.answerInput.disabled = true;
+    elements.explanationContinue.focus();
+}
 
-    elements.answerFeedback.textContent = `Skipped. Answer: ${state.session.currentProblem.answer}`;
-    elements.answerFeedback.className = 'answer-feedback incorrect';
+/**
+ * Close the explanation panel and carry on with the session
+ */
+function dismissExplanation() {
+    elements.explanationPanel.style.display = 'none';
+    elements.answerInput.disabled = false;
 
-    setTimeout(() => {
-        if (state.currentMode === 'chain') {
-            startChainRound();
-        } else {
-            nextProblem();
-        }
-    }, 600);
+    if (state.session.active) {
+        engine.advance();
+    }
 }
 
 /**
- * Record an answer result
+ * Skip the current problem
  */
-function recordAnswer(isCorrect, time) {
-    state.session.total++;
-    if (isCorrect) {
-        state.session.correct++;
-        state.session.times.push(time);
+function skipProblem() {
+    if (state.chain.isDisplaying) return;
 
-        // Save solve time globally
-        saveSolveTime(time, state.currentMode);
-    }
+    const result = engine.skip();
+    if (!result) return;
+    stopTimer();
 
-    state.session.problems.push({
-        problem: state.session.currentProblem,
-        correct: isCorrect,
-        time
-    });
+    elements.answerFeedback.textContent = `Skipped. Answer: ${result.problem.answer}`;
+    elements.answerFeedback.className = 'answer-feedback incorrect';
+
+    scheduleAdvance(600);
+}
 
-    updateSessionStats();
+/**
+ * Move on to the next problem once the feedback has been shown for `delay` ms
+ */
+function scheduleAdvance(delay) {
+    cancelAdvance();
+    state.advanceTimer = setTimeout(() => {
+        state.advanceTimer = null;
+        engine.advance();
+    }, delay);
+}
+
+/**
+ * Drop a pending move to the next problem, so it can't land in a later session
+ */
+function cancelAdvance() {
+    if (state.advanceTimer) {
+        clearTimeout(state.advanceTimer);
+        state.advanceTimer = null;
+    }
 }
 
 /**
@@ -709,7 +1390,8 @@ function updateSessionStats() {
     const { correct, total, times } = state.session;
 
     elements.statCorrect.textContent = correct;
-    elements.sessionProgress.textContent = `${total} solved`;
+    updateSessionProgress();
+    updateAdaptiveLevelDisplay();
 
     if (total > 0) {
         const accuracy = ((correct / total) * 100).toFixed(0);
@@ -727,21 +1409,119 @@ function updateSessionStats() {
 }
 
 /**
- * End the current session and show results
+ * Update the header progress text for the current session format
  */
-function endSession() {
-    stopTimer();
+function updateSessionProgress() {
+    const { format, goal, total, correct, streak } = state.session;
+    let text;
+
+    switch (format) {
+        case 'count':
+        case 'daily':
+            text = `${total} / ${goal}`;
+            break;
+        case 'blitz': {
+            const remaining = Math.max(0, BLITZ_DURATION - engine.activeTime());
+            text = `${Math.ceil(remaining)}s left • ${correct} correct`;
+            break;
+        }
+        case 'survival':
+            text = `${correct} survived`;
+            break;
+        case 'streak':
+            text = `Streak ${streak} / ${goal}`;
+            break;
+        default:
+            text = `${total} solved`;
+    }
+
+    elements.sessionProgress.textContent = text;
+}
+
+/**
+ * Get the record value a session sets for its format, or null if it doesn't count
+ */
+function getFormatRecord(session) {
+    const format = SESSION_FORMATS[session.format];
+    if (!format || !format.record || !session.completed) return null;
+
+    return format.record === 'time' ? session.duration : session.correct;
+}
+
+/**
+ * Find the best record for a format, goal and mode across saved sessions
+ */
+function getBestFormatRecord(sessions, format, goal, mode) {
+    const type = SESSION_FORMATS[format]?.record;
+    let best = null;
+
+    sessions.forEach(session => {
+        if (session.format !== format || session.mode !== mode) return;
+        if ((session.goal ?? null) !== goal) return;
+
+        const value = getFormatRecord(session);
+        if (value === null) return;
+
+        if (best === null || (type === 'time' ? value < best : value > best)) {
+            best = value;
+        }
+    });
+
+    return best;
+}
+
+/**
+ * Format a record value for display
+ */
+function formatRecord(format, value) {
+    if (value === null) return '--';
+    return SESSION_FORMATS[format].record === 'time' ? formatTime(value) : `${value} correct`;
+}
+
+/**
+ * Describe how a session ended, for the complete screen
+ */
+function describeSessionResult(session) {
+    const { format, goal, completed, correct, duration, bestStreak } = session;
 
-    if (state.chain.displayInterval) {
-        clearInterval(state.chain.displayInterval);
+    if (!completed) {
+        return format === 'free' ? '' : `${getFormatLabel(format, goal)} • ended early`;
     }
 
-    const { correct, total, times } = state.session;
+    switch (format) {
+        case 'count':
+            return `${goal} problems in ${formatTime(duration)}`;
+        case 'daily':
+            return `${session.daily} • ${correct}/${goal} in ${formatTime(duration)}`;
+        case 'blitz':
+            return `${correct} correct in ${BLITZ_DURATION}s`;
+        case 'survival':
+            return `Survived ${correct} problem${correct === 1 ? '' : 's'}`;
+        case 'streak':
+            return `Streak of ${bestStreak} in ${formatTime(duration)}`;
+        default:
+            return '';
+    }
+}
+
+/**
+ * End the current session early; the results follow from the engine's sessionEnd
+ */
+function endSession() {
+    engine.end();
+}
 
-    // Calculate final stats
-    const accuracy = total > 0 ? ((correct / total) * 100).toFixed(0) : 0;
-    const avgTime = times.length > 0 ? times.reduce((a, b) => a + b, 0) / times.length : 0;
-    const bestTime = times.length > 0 ? Math.min(...times) : 0;
+/**
+ * Show a finished session's results on the complete screen
+ */
+function showSessionResults(session) {
+    stopTimer();
+    elements.explanationPanel.style.display = 'none';
+    elements.answerInput.disabled = false;
+    hidePausePanel();
+    stopChainPlayback();
+
+    const { mode, format, goal, completed, seed, correct, accuracy, avgTime, bestTime } = session;
 
     // Update complete screen
     elements.completeScore.textContent = correct;
@@ -749,57 +1529,506 @@ function endSession() {
     elements.completeAvgTime.textContent = formatTime(avgTime);
     elements.completeBestTime.textContent = formatTime(bestTime);
 
-    // Save session to history
-    saveSession({
-        mode: state.currentMode,
-        correct,
-        total,
-        accuracy: parseFloat(accuracy),
-        avgTime,
-        bestTime,
-        times,
-        timestamp: Date.now()
-    });
+    // Compare against the previous best; the engine saves the session after this event
+    const sessions = loadSessions();
+    const record = getFormatRecord(session);
+    const previousBest = getBestFormatRecord(sessions, format, goal, mode);
+    const isNewRecord = record !== null && (previousBest === null ||
+        (SESSION_FORMATS[format].record === 'time' ? record < previousBest : record > previousBest));
+
+    const titles = { blitz: "Time's Up!", survival: 'Game Over!', count: 'Goal Complete!', streak: 'Goal Complete!' };
+    elements.completeTitle.textContent = (completed && titles[format]) || 'Session Complete!';
+    elements.completeFormat.textContent = describeSessionResult(session);
+    elements.completeRecord.textContent = isNewRecord
+        ? '🏆 New personal best!'
+        : previousBest !== null ? `Personal best: ${formatRecord(format, previousBest)}` : '';
+    elements.completeSeed.textContent = mode === 'review' || mode === 'retry' ? '' : `Seed: ${seed}`;
+
+    // The engine saves the session after this event, so include it here
+    const unlocked = evaluateAchievements([...sessions, session]);
+    elements.completeAchievements.innerHTML = unlocked.map(achievement => `
+        <div class="trophy unlocked-now">
+            <span class="trophy-icon">${achievement.icon}</span>
+            <div class="trophy-info">
+                <span class="trophy-name">Unlocked: ${achievement.name}</span>
+                <span class="trophy-desc">${achievement.description}</span>
+            </div>
+        </div>
+    `).join('');
+
+    elements.completeReview.innerHTML = renderSessionReview(session);
+    elements.completeReview.style.display = 'none';
+    elements.completeReviewBtn.style.display = session.problems?.length ? '' : 'none';
+    elements.completeReviewBtn.textContent = '📋 Review Problems';
 
-    state.session.active = false;
     showScreen('complete');
 }
 
+// ============================================
+// Session Review
+// ============================================
+
+/**
+ * Problems from a saved session that weren't answered correctly
+ */
+function getMissedProblems(session) {
+    return (session.problems || []).filter(p => p.status !== 'correct');
+}
+
+/**
+ * Practise just the problems a saved session missed, in their original order
+ */
+function retryMissed(session) {
+    const missed = getMissedProblems(session);
+    if (missed.length === 0) return;
+
+    startSession('retry', {
+        retryProblems: missed,
+        format: 'count',
+        goal: missed.length,
+        timeLimit: session.timeLimit,
+        digitRange: session.digitRange,
+        chainConfig: session.chainConfig || undefined
+    });
+}
+
+/**
+ * Write out a chain round's numbers, e.g. "12 + 7 − 5"
+ */
+function formatChainNumbers(numbers) {
+    return numbers
+        .map((item, i) => i === 0 && item.operation === '+' ? item.value : `${item.operation === '+' ? '+' : '−'} ${item.value}`)
+        .join(' ');
+}
+
+/**
+ * Clean up a saved problem for review: unknown statuses count as wrong and
+ * times that aren't finite numbers become null (imported files can hold anything)
+ */
+function toReviewProblem(p) {
+    const time = typeof p.time === 'number' && Number.isFinite(p.time) ? p.time : null;
+    const status = REVIEW_STATUSES.includes(p.status) ? p.status : 'wrong';
+    return { ...p, time, status };
+}
+
+/**
+ * Draw each problem's time as a small line chart, with misses marked;
+ * problems without a time are left out
+ */
+function renderTimeSparkline(problems) {
+    const { width, height, padding } = SPARKLINE_SIZE;
+    const timed = problems.map((p, i) => ({ ...p, index: i })).filter(p => p.time !== null);
+    if (timed.length === 0) return '';
+
+    const maxTime = Math.max(...timed.map(p => p.time), 0.1);
+    const step = problems.length > 1 ? (width - padding * 2) / (problems.length - 1) : 0;
+
+    const points = timed.map(p => ({
+        x: problems.length > 1 ? padding + p.index * step : width / 2,
+        y: height - padding - (p.time / maxTime) * (height - padding * 2),
+        status: p.status
+    }));
+
+    return `
+        <svg class="review-sparkline" viewBox="0 0 ${width} ${height}" role="img" aria-label="Time per problem">
+            <polyline class="chart-line" points="${points.map(p => `${p.x},${p.y}`).join(' ')}"></polyline>
+            ${points.map(p => `<circle class="sparkline-point ${p.status}" cx="${p.x}" cy="${p.y}" r="3"></circle>`).join('')}
+        </svg>
+    `;
+}
+
+/**
+ * Per-problem table for a finished session: problem, answers, time and outcome,
+ * with a time sparkline and a button to retry the misses
+ */
+function renderSessionReview(session) {
+    const problems = (session.problems || []).map(toReviewProblem);
+    if (problems.length === 0) return '';
+
+    // Saved problems can come from imported files, so everything from them is escaped
+    const statusLabels = { skip: '⏭ Skipped', timeout: '⏱ Timed out' };
+    const rows = problems.map((p, i) => `
+        <tr class="${p.status}">
+            <td>${i + 1}</td>
+            <td>${escapeHtml(p.numbers ? formatChainNumbers(p.numbers) : p.text)}</td>
+            <td>${escapeHtml(statusLabels[p.status] || p.answer)}</td>
+            <td>${escapeHtml(p.correctAnswer)}</td>
+            <td>${formatTime(p.time)}</td>
+        </tr>
+    `).join('');
+
+    const missed = getMissedProblems(session).length;
+    return `
+        ${renderTimeSparkline(problems)}
+        <table class="review-table">
+            <thead>
+                <tr><th>#</th><th>Problem</th><th>Yours</th><th>Answer</th><th>Time</th></tr>
+            </thead>
+            <tbody>${rows}</tbody>
+        </table>
+        ${missed > 0 ? `<button class="action-btn" data-retry="${session.timestamp}">↺ Retry ${missed} Missed</button>` : ''}
+    `;
+}
+
+/**
+ * Retry the misses of the saved session whose review button was clicked
+ */
+function handleRetryClick(e) {
+    const btn = e.target.closest('[data-retry]');
+    if (!btn) return;
+
+    const session = loadSessions().find(s => s.timestamp === parseInt(btn.dataset.retry));
+    if (session) retryMissed(session);
+}
+
+// ============================================
+// Audio Flash Anzan (Speech)
+// ============================================
+
+// Adapters and the playback loop live in chain.js; app.js picks the speech adapter
+let speechAdapter = browserSpeech;
+
+/**
+ * Swap the speech adapter (e.g. for a stub in tests); pass nothing to restore the browser one
+ */
+function setSpeechAdapter(adapter) {
+    speechAdapter.cancel();
+    speechAdapter = adapter || browserSpeech;
+    updateVoiceOptions();
+}
+
+/**
+ * Pick the audio output for chain numbers, falling back to beeps when speech is missing.
+ * Returns null when audio is off or nothing can play.
+ */
+function getChainAudio() {
+    return pickChainAudio(state.settings.chainAudio, speechAdapter, beepAudio, {
+        voice: state.settings.chainVoice,
+        rate: state.settings.chainSpeechRate,
+        lang: state.settings.chainSpeechLang
+    });
+}
+
+/**
+ * Fill the voice picker with voices for the selected language
+ */
+function updateVoiceOptions() {
+    const lang = state.settings.chainSpeechLang.toLowerCase();
+    const voices = speechAdapter.getVoices()
+        .filter(voice => voice.lang.toLowerCase().startsWith(lang.split('-')[0]));
+
+    elements.chainVoice.innerHTML = '<option value="">Default voice</option>' + voices
+        .map(voice => `<option value="${escapeHtml(voice.name)}">${escapeHtml(`${voice.name} (${voice.lang})`)}</option>`)
+        .join('');
+    elements.chainVoice.value = voices.some(v => v.name === state.settings.chainVoice)
+        ? state.settings.chainVoice
+        : '';
+}
+
+// ============================================
+// Adaptive Difficulty
+// ============================================
+
+/**
+ * Get the current adaptive level for an operation
+ */
+function getAdaptiveLevel(operation) {
+    const level = state.adaptiveLevels[operation];
+    if (level === undefined) {
+        return ADAPTIVE_START_LEVEL[state.settings.digitRange] ?? 3;
+    }
+    return level;
+}
+
+/**
+ * Get the max operand for an operation at its adaptive level
+ */
+function getAdaptiveMax(operation) {
+    return ADAPTIVE_LEVELS[getAdaptiveLevel(operation)];
+}
+
+/**
+ * Nudge an operation's level towards the target success rate.
+ * Only answers given at the current level count, so each change starts a fresh window.
+ */
+function adjustDifficulty(operation) {
+    const level = getAdaptiveLevel(operation);
+    const recent = state.session.problems
+        .filter(p => p.problem.operation === operation && p.problem.level === level)
+        .slice(-ADAPTIVE_WINDOW);
+
+    if (recent.length < ADAPTIVE_WINDOW) return;
+
+    const target = state.settings.adaptiveTarget / 100;
+    const accuracy = recent.filter(p => p.correct).length / recent.length;
+    const correctTimes = recent.filter(p => p.correct).map(p => p.time);
+    const avgTime = correctTimes.length > 0
+        ? correctTimes.reduce((a, b) => a + b, 0) / correctTimes.length
+        : Infinity;
+
+    let newLevel = level;
+    if (accuracy >= target + ADAPTIVE_MARGIN && avgTime <= state.settings.targetTime) {
+        newLevel = Math.min(level + 1, ADAPTIVE_LEVELS.length - 1);
+    } else if (accuracy < target - ADAPTIVE_MARGIN || avgTime > state.settings.targetTime * 2) {
+        newLevel = Math.max(level - 1, 0);
+    }
+
+    if (newLevel !== level) {
+        state.adaptiveLevels[operation] = newLevel;
+        saveAdaptiveLevels();
+    }
+}
+
+/**
+ * Show the current adaptive level in the practice header
+ */
+function updateAdaptiveLevelDisplay() {
+    const problem = state.session.currentProblem;
+
+    if (!state.session.adaptive || !problem || problem.reviewCardId) {
+        elements.adaptiveLevel.textContent = '';
+        return;
+    }
+
+    const level = getAdaptiveLevel(problem.operation);
+    elements.adaptiveLevel.textContent = `Lv ${level + 1} (1-${ADAPTIVE_LEVELS[level]})`;
+}
+
+// ============================================
+// Review Deck (Spaced Repetition)
+// ============================================
+
+/**
+ * Recover operands from a wrong answer; older entries only stored the display text.
+ * Returns null when there are none, or when they aren't the types the operation uses.
+ */
+function parseWrongAnswer(wrong) {
+    if (wrong.a !== undefined && wrong.b !== undefined && wrong.symbol) {
+        if (typeof wrong.symbol !== 'string' || !hasValidOperands(wrong.operation, wrong.a, wrong.b)) return null;
+        return { a: wrong.a, b: wrong.b, symbol: wrong.symbol };
+    }
+
+    const binary = /^(\d+) ([×+−÷]) (\d+)$/.exec(wrong.problem || '');
+    if (binary) {
+        return { a: parseInt(binary[1]), b: parseInt(binary[3]), symbol: binary[2] };
+    }
+
+    const power = /^(\d+)([²³])$/.exec(wrong.problem || '');
+    if (power) {
+        return { a: parseInt(power[1]), b: power[2] === '²' ? 2 : 3, symbol: '^' };
+    }
+
+    // Chain Math misses have no operands to replay
+    return null;
+}
+
+/**
+ * Build a review card from a wrong answer
+ */
+function createReviewCard(wrong) {
+    const operands = parseWrongAnswer(wrong);
+    if (!operands) return null;
+
+    const { a, b, symbol } = operands;
+    const now = wrong.timestamp || Date.now();
+
+    return {
+        id: `${wrong.operation}:${a}${symbol}${b}`,
+        a,
+        b,
+        symbol,
+        operation: wrong.operation,
+        answer: wrong.correctAnswer,
+        displayText: wrong.problem,
+        box: 0,
+        dueAt: now,
+        reviews: 0,
+        createdAt: now,
+        lastReviewed: null,
+        graduatedAt: null
+    };
+}
+
+/**
+ * Build a deck from a list of wrong answers, one card per distinct problem
+ */
+function buildReviewDeck(wrongAnswers) {
+    const cards = new Map();
+
+    wrongAnswers.forEach(wrong => {
+        const card = createReviewCard(wrong);
+        if (card) cards.set(card.id, card);
+    });
+
+    return [...cards.values()];
+}
+
+/**
+ * Add a missed problem to the deck, or send an existing card back to box 0
+ */
+function addReviewCard(wrong) {
+    const card = createReviewCard(wrong);
+    if (!card) return;
+
+    const deck = loadReviewDeck();
+    const existing = deck.find(c => c.id === card.id);
+
+    if (existing) {
+        existing.box = 0;
+        existing.dueAt = card.dueAt;
+        existing.graduatedAt = null;
+    } else {
+        deck.push(card);
+    }
+
+    saveReviewDeck(deck);
+}
+
+/**
+ * Get active cards that are due now, most overdue first
+ */
+function getDueReviewCards() {
+    const now = Date.now();
+    return loadReviewDeck()
+        .filter(card => !card.graduatedAt && card.dueAt <= now)
+        .sort((a, b) => a.dueAt - b.dueAt);
+}
+
+/**
+ * Serve the next due card that hasn't been shown this session
+ */
+function generateReviewProblem() {
+    const used = state.session.usedProblems;
+    const card = getDueReviewCards().find(c => !used || !used.has(c.id));
+    if (!card) return null;
+
+    if (used) used.add(card.id);
+
+    return {
+        a: card.a,
+        b: card.b,
+        answer: card.answer,
+        symbol: card.symbol,
+        operation: card.operation,
+        displayText: card.displayText,
+        reviewCardId: card.id
+    };
+}
+
+/**
+ * Move a card between Leitner boxes after it has been answered.
+ * Fast correct answers promote, slow ones keep the box, misses reset it.
+ */
+function gradeReviewCard(id, isCorrect, time) {
+    const deck = loadReviewDeck();
+    const card = deck.find(c => c.id === id);
+    if (!card) return;
+
+    const now = Date.now();
+    card.reviews++;
+    card.lastReviewed = now;
+
+    if (!isCorrect) {
+        card.box = 0;
+    } else if (time <= state.settings.targetTime) {
+        card.box++;
+    }
+
+    if (card.box >= REVIEW_INTERVALS.length) {
+        card.graduatedAt = now;
+    } else {
+        card.dueAt = now + REVIEW_INTERVALS[card.box];
+    }
+
+    saveReviewDeck(deck);
+}
+
+/**
+ * Update the due count shown on the Review mode button
+ */
+function updateReviewBadge() {
+    const due = getDueReviewCards().length;
+    elements.reviewDueCount.textContent = due;
+    elements.reviewDueCount.classList.toggle('empty', due === 0);
+}
+
+// ============================================
+// Solution Explanations
+// ============================================
+
+// Strategies and steps come from explainProblem() in engine.js
+
+/**
+ * Render an explanation as a strategy heading and numbered steps
+ */
+function renderExplanation(explanation) {
+    return `
+        <div class="explanation-strategy">💡 ${escapeHtml(explanation.strategy)}</div>
+        <ol class="explanation-steps">
+            ${explanation.steps.map(step => `<li>${escapeHtml(step)}</li>`).join('')}
+        </ol>
+    `;
+}
+
+/**
+ * Explain a saved wrong answer, or return null if it can't be explained
+ */
+function explainWrongAnswer(wrong) {
+    const operands = parseWrongAnswer(wrong);
+    return operands ? explainProblem({ ...operands, operation: wrong.operation }) : null;
+}
+
 // ============================================
 // Analytics Functions
 // ============================================
 
 /**
- * Calculate Average of N (speedcubing style)
- * Removes best and worst times, averages the rest
+ * Get the solves behind an AoN ending at `end`, marking which ones were trimmed
  */
-function calculateAoN(times, n) {
-    if (times.length < n) return null;
+function getAoNWindow(times, n, trim, end = times.length) {
+    if (end < n) return null;
 
-    // Get last N times
-    const lastN = times.slice(-n);
+    const window = times.slice(end - n, end);
+    const order = window.map((_, i) => i).sort((a, b) => window[a] - window[b]);
+    const trimmedIndexes = new Set([...order.slice(0, trim), ...order.slice(n - trim)]);
 
-    // Sort to find best and worst
-    const sorted = [...lastN].sort((a, b) => a - b);
+    return {
+        value: calculateAoN(window, n, trim),
+        solves: window.map((time, i) => ({ time, trimmed: trimmedIndexes.has(i) }))
+    };
+}
 
-    // Remove best (first) and worst (last)
-    const trimmed = sorted.slice(1, -1);
+/**
+ * Get the operation a solve time belongs to.
+ * Older records only have the session mode, which is ambiguous for mixed and review.
+ */
+function getSolveOperation(solveTime) {
+    if (solveTime.operation) return solveTime.operation;
+    return ['mixed', 'review', 'retry'].includes(solveTime.mode) ? null : solveTime.mode;
+}
 
-    // Calculate average
-    return trimmed.reduce((a, b) => a + b, 0) / trimmed.length;
+/**
+ * Get the solve times for one operation, oldest first
+ */
+function getOperationTimes(solveTimes, operation) {
+    return solveTimes.filter(st => getSolveOperation(st) === operation).map(st => st.time);
 }
 
 /**
  * Update analytics display
  */
-function updateAnalytics() {
+async function updateAnalytics() {
     const solveTimes = loadSolveTimes();
     const sessions = loadSessions();
     const allTimes = solveTimes.map(st => st.time);
 
-    // Calculate Ao5 and Ao12
-    const ao5 = calculateAoN(allTimes, 5);
-    const ao12 = calculateAoN(allTimes, 12);
+    // Calculate Ao5 and Ao12, optionally for a single operation
+    const averagesOperation = elements.averagesOperation.value;
+    const averageTimes = averagesOperation === 'all'
+        ? allTimes
+        : (await loadOperationSolveTimes(averagesOperation)).map(st => st.time);
+    const ao5 = calculateAoN(averageTimes, 5);
+    const ao12 = calculateAoN(averageTimes, 12);
 
     elements.ao5Value.textContent = ao5 !== null ? formatTime(ao5) : '--';
     elements.ao12Value.textContent = ao12 !== null ? formatTime(ao12) : '--';
@@ -824,7 +2053,7 @@ function updateAnalytics() {
     if (allTimes.length > 0) {
         const avgTime = allTimes.reduce((a, b) => a + b, 0) / allTimes.length;
         elements.overallAvgTime.textContent = formatTime(avgTime);
-        elements.personalBest.textContent = formatTime(Math.min(...allTimes));
+        elements.personalBest.textContent = formatTime(allTimes.reduce((a, b) => Math.min(a, b), Infinity));
     } else {
         elements.overallAvgTime.textContent = '--';
         elements.personalBest.textContent = '--';
@@ -832,6 +2061,55 @@ function updateAnalytics() {
 
     // Calculate per-operation stats
     updateOperationStats(sessions, solveTimes);
+
+    // Personal bests per session format
+    updateFormatRecords(sessions);
+
+    // Progress over time
+    updateProgressChart();
+
+    // Day streaks and practice calendar
+    updatePracticeCalendar(sessions);
+
+    // Catch up on achievements earned by imported or older history
+    evaluateAchievements(sessions, solveTimes);
+}
+
+/**
+ * Update personal bests for each session format
+ */
+function updateFormatRecords(sessions) {
+    let html = '';
+
+    // Each distinct format/goal/mode combination keeps its own record
+    const combos = new Map();
+    sessions.forEach(session => {
+        if (getFormatRecord(session) === null) return;
+
+        const goal = session.goal ?? null;
+        combos.set(`${session.format}|${goal}|${session.mode}`, { format: session.format, goal, mode: session.mode });
+    });
+
+    const formatOrder = Object.keys(SESSION_FORMATS);
+    [...combos.values()]
+        .sort((a, b) => formatOrder.indexOf(a.format) - formatOrder.indexOf(b.format))
+        .forEach(({ format, goal, mode }) => {
+            const best = getBestFormatRecord(sessions, format, goal, mode);
+
+            html += `
+                <div class="operation-stat">
+                    <span class="op-name">${escapeHtml(getFormatLabel(format, goal))}</span>
+                    <span class="op-count">${escapeHtml(OPERATIONS[mode]?.name || mode)}</span>
+                    <span class="op-accuracy">${formatRecord(format, best)}</span>
+                </div>
+            `;
+        });
+
+    if (html === '') {
+        html = '<div class="empty-state"><span class="icon">🏆</span><p>Finish a Fixed Count, Blitz, Survival or Streak session to set a record.</p></div>';
+    }
+
+    elements.formatRecords.innerHTML = html;
 }
 
 /**
@@ -853,10 +2131,11 @@ function updateOperationStats(sessions, solveTimes) {
         }
     });
 
-    // Add times
+    // Add times by the operation actually solved, so mixed sessions split out
     solveTimes.forEach(st => {
-        if (stats[st.mode]) {
-            stats[st.mode].times.push(st.time);
+        const operation = getSolveOperation(st);
+        if (stats[operation]) {
+            stats[operation].times.push(st.time);
         }
     });
 
@@ -864,13 +2143,17 @@ function updateOperationStats(sessions, solveTimes) {
     let html = '';
     Object.entries(OPERATIONS).forEach(([key, value]) => {
         const stat = stats[key];
-        if (stat.total > 0) {
-            const accuracy = ((stat.correct / stat.total) * 100).toFixed(0);
+        if (stat.total > 0 || stat.times.length > 0) {
+            const accuracy = stat.total > 0 ? ((stat.correct / stat.total) * 100).toFixed(0) + '%' : '--';
             html += `
-                <div class="operation-stat">
-                    <span class="op-name">${value.name}</span>
-                    <span class="op-accuracy">${accuracy}%</span>
-                    <span class="op-count">${stat.total} problems</span>
+                <div class="operation-block" data-op="${key}">
+                    <div class="operation-stat">
+                        <span class="op-name">${value.name}</span>
+                        <span class="op-accuracy">${accuracy}</span>
+                        <span class="op-count">${stat.total > 0 ? `${stat.total} problems` : `${stat.times.length} solves`}</span>
+                    </div>
+                    ${renderAverageGrid(stat.times)}
+                    <div class="aon-detail"></div>
                 </div>
             `;
         }
@@ -883,6 +2166,509 @@ function updateOperationStats(sessions, solveTimes) {
     elements.operationStats.innerHTML = html;
 }
 
+/**
+ * Render current and best-ever rolling averages for one operation's times
+ */
+function renderAverageGrid(times) {
+    if (times.length < AVERAGE_METRICS[0].n) return '';
+
+    const cells = AVERAGE_METRICS.map(({ key, label, n, trim }) => {
+        const current = calculateAoN(times, n, trim);
+        const best = calculateBestAoN(times, n, trim);
+        const disabled = current === null ? 'disabled' : '';
+
+        return `
+            <button class="aon-cell" data-metric="${key}" ${disabled}>
+                <span class="aon-label">${label}</span>
+                <span class="aon-current">${formatTime(current)}</span>
+                <span class="aon-best">best ${formatTime(best?.value)}</span>
+            </button>
+        `;
+    }).join('');
+
+    return `<div class="aon-grid">${cells}</div>`;
+}
+
+/**
+ * Show the solves behind an operation's current and best average.
+ * Trimmed solves are shown in parentheses, as on speedcubing timers.
+ */
+async function showAverageDetail(block, metricKey) {
+    const detail = block.querySelector('.aon-detail');
+    const cell = block.querySelector(`.aon-cell[data-metric="${metricKey}"]`);
+
+    // Tapping the open metric again closes it
+    if (cell.classList.contains('active')) {
+        cell.classList.remove('active');
+        detail.innerHTML = '';
+        return;
+    }
+
+    block.querySelectorAll('.aon-cell').forEach(c => c.classList.remove('active'));
+    cell.classList.add('active');
+
+    const { label, n, trim } = AVERAGE_METRICS.find(m => m.key === metricKey);
+    const times = (await loadOperationSolveTimes(block.dataset.op)).map(st => st.time);
+    const current = getAoNWindow(times, n, trim);
+    const best = getAoNWindow(times, n, trim, calculateBestAoN(times, n, trim).end);
+
+    const renderSolves = (aon) => aon.solves
+        .map(s => s.trimmed ? `<span class="trimmed">(${formatTime(s.time)})</span>` : formatTime(s.time))
+        .join(' ');
+
+    detail.innerHTML = `
+        <p><strong>Current ${label}: ${formatTime(current.value)}</strong> = ${renderSolves(current)}</p>
+        <p><strong>Best ${label}: ${formatTime(best.value)}</strong> = ${renderSolves(best)}</p>
+    `;
+}
+
+// ============================================
+// Progress Charts
+// ============================================
+
+/**
+ * Build one point per practice day with mean time, rolling Ao12, accuracy and volume.
+ * Ao12 rolls over the whole history so the first days in range still have context.
+ */
+function buildDailySeries(sessions, solveTimes, since) {
+    const days = new Map();
+    const getDay = (timestamp) => {
+        const key = getDayKey(timestamp);
+        if (!days.has(key)) {
+            days.set(key, { day: key, timestamp, times: [], ao12: null, correct: 0, total: 0 });
+        }
+        return days.get(key);
+    };
+
+    const rolling = [];
+    solveTimes.forEach(st => {
+        rolling.push(st.time);
+        if (st.timestamp < since) return;
+
+        const day = getDay(st.timestamp);
+        day.times.push(st.time);
+        day.ao12 = calculateAoN(rolling, 12) ?? day.ao12;
+    });
+
+    sessions.forEach(session => {
+        if (session.timestamp < since) return;
+
+        const day = getDay(session.timestamp);
+        day.correct += session.correct;
+        day.total += session.total;
+    });
+
+    return [...days.values()]
+        .sort((a, b) => a.day.localeCompare(b.day))
+        .map(day => ({
+            day: day.day,
+            timestamp: day.timestamp,
+            meanTime: day.times.length > 0 ? day.times.reduce((a, b) => a + b, 0) / day.times.length : null,
+            ao12: day.ao12,
+            accuracy: day.total > 0 ? (day.correct / day.total) * 100 : null,
+            problems: day.total
+        }));
+}
+
+/**
+ * Draw a metric from a daily series as an SVG line or bar chart
+ */
+function renderChartSvg(series, metricKey) {
+    const metric = CHART_METRICS[metricKey];
+    const { width, height, left, right, top, bottom } = CHART_SIZE;
+    const plotWidth = width - left - right;
+    const plotHeight = height - top - bottom;
+
+    const points = series.filter(p => p[metricKey] !== null && (metric.type === 'line' || p[metricKey] > 0));
+    if (points.length === 0) return { svg: '', points };
+
+    const maxValue = metric.max ?? Math.max(...points.map(p => p[metricKey])) * 1.1;
+    const first = new Date(points[0].day).getTime();
+    const span = new Date(points[points.length - 1].day).getTime() - first;
+
+    points.forEach(p => {
+        p.x = span > 0 ? left + ((new Date(p.day).getTime() - first) / span) * plotWidth : left + plotWidth / 2;
+        p.y = top + plotHeight - (p[metricKey] / maxValue) * plotHeight;
+    });
+
+    // Horizontal grid lines with value labels
+    let grid = '';
+    for (let i = 0; i <= 4; i++) {
+        const y = top + (plotHeight * i) / 4;
+        const value = maxValue * (1 - i / 4);
+        grid += `<line class="chart-grid" x1="${left}" x2="${width - right}" y1="${y}" y2="${y}"></line>`;
+        grid += `<text class="chart-label" x="${left - 6}" y="${y + 4}" text-anchor="end">${metricKey === 'problems' ? Math.round(value) : metric.format(value)}</text>`;
+    }
+
+    const firstLabel = `<text class="chart-label" x="${left}" y="${height - 8}">${points[0].day}</text>`;
+    const lastLabel = points.length > 1
+        ? `<text class="chart-label" x="${width - right}" y="${height - 8}" text-anchor="end">${points[points.length - 1].day}</text>`
+        : '';
+
+    let shapes;
+    if (metric.type === 'bar') {
+        const barWidth = Math.max(2, Math.min(24, plotWidth / points.length - 2));
+        shapes = points.map(p =>
+            `<rect class="chart-bar" x="${p.x - barWidth / 2}" y="${p.y}" width="${barWidth}" height="${top + plotHeight - p.y}"></rect>`
+        ).join('');
+    } else {
+        shapes = `<polyline class="chart-line" points="${points.map(p => `${p.x},${p.y}`).join(' ')}"></polyline>`;
+        shapes += points.map(p => `<circle class="chart-point" cx="${p.x}" cy="${p.y}" r="3"></circle>`).join('');
+    }
+
+    const svg = `
+        <svg class="progress-chart" viewBox="0 0 ${width} ${height}" preserveAspectRatio="none" role="img" aria-label="${metric.label}">
+            ${grid}${shapes}${firstLabel}${lastLabel}
+            <line class="chart-cursor" x1="0" x2="0" y1="${top}" y2="${top + plotHeight}" visibility="hidden"></line>
+        </svg>
+    `;
+
+    return { svg, points };
+}
+
+/**
+ * Redraw the progress chart for the selected metric, operation and date range
+ */
+async function updateProgressChart() {
+    const operation = elements.chartOperation.value;
+    const rangeDays = parseInt(elements.chartRange.value);
+    const since = rangeDays > 0 ? Date.now() - rangeDays * 24 * 60 * 60 * 1000 : 0;
+
+    elements.chartTabs.forEach(tab => {
+        tab.classList.toggle('active', tab.dataset.metric === state.chart.metric);
+    });
+
+    // One operation's sessions and solve times come from the mode and operation indexes
+    const [sessions, solveTimes] = operation === 'all'
+        ? [loadSessions(), loadSolveTimes()]
+        : await Promise.all([queryRecords('sessions', 'mode', operation), loadOperationSolveTimes(operation)]);
+
+    const series = buildDailySeries(sessions, solveTimes, since);
+    const { svg, points } = renderChartSvg(series, state.chart.metric);
+    state.chart.points = points;
+
+    hideChartTooltip();
+    elements.chartArea.innerHTML = svg ||
+        '<div class="empty-state"><span class="icon">📈</span><p>No data in this range yet.</p></div>';
+}
+
+/**
+ * Show the tooltip for the chart point nearest the pointer
+ */
+function handleChartHover(event) {
+    const svg = elements.chartArea.querySelector('svg');
+    if (!svg || state.chart.points.length === 0) return;
+
+    const rect = svg.getBoundingClientRect();
+    if (rect.width === 0) return;
+
+    const x = ((event.clientX - rect.left) / rect.width) * CHART_SIZE.width;
+    const point = state.chart.points.reduce((nearest, p) =>
+        Math.abs(p.x - x) < Math.abs(nearest.x - x) ? p : nearest
+    );
+
+    const cursor = svg.querySelector('.chart-cursor');
+    cursor.setAttribute('x1', point.x);
+    cursor.setAttribute('x2', point.x);
+    cursor.setAttribute('visibility', 'visible');
+
+    elements.chartTooltip.innerHTML = `
+        <strong>${point.day}</strong>
+        <span>Mean: ${formatTime(point.meanTime)}</span>
+        <span>Ao12: ${formatTime(point.ao12)}</span>
+        <span>Accuracy: ${point.accuracy !== null ? point.accuracy.toFixed(0) + '%' : '--'}</span>
+        <span>Problems: ${point.problems}</span>
+    `;
+    elements.chartTooltip.style.left = `${(point.x / CHART_SIZE.width) * 100}%`;
+    elements.chartTooltip.style.display = 'flex';
+}
+
+/**
+ * Hide the chart tooltip and cursor
+ */
+function hideChartTooltip() {
+    elements.chartTooltip.style.display = 'none';
+    const cursor = elements.chartArea.querySelector('.chart-cursor');
+    if (cursor) cursor.setAttribute('visibility', 'hidden');
+}
+
+// ============================================
+// Daily Goals & Streaks
+// ============================================
+
+/**
+ * Get the daily goal from settings, e.g. { type: 'minutes', target: 10 }
+ */
+function getDailyGoal() {
+    return { type: state.settings.dailyGoalType, target: state.settings.dailyGoalTarget };
+}
+
+/**
+ * Problems answered and minutes practised per day, keyed by getDayKey()
+ */
+function buildDayTotals(sessions) {
+    const days = {};
+
+    sessions.forEach(session => {
+        const key = getDayKey(session.timestamp);
+        const day = days[key] || (days[key] = { problems: 0, minutes: 0, sessions: 0 });
+        day.problems += session.total;
+        day.minutes += (session.duration || 0) / 60;
+        day.sessions++;
+    });
+
+    return days;
+}
+
+/**
+ * Check whether a day's totals meet the daily goal
+ */
+function isGoalMet(day, goal) {
+    return Boolean(day) && day[goal.type] >= goal.target;
+}
+
+/**
+ * Walk every day from the first practice day to today and count goal-day streaks.
+ * Today never breaks a streak, since there's still time to meet the goal.
+ */
+function calculateDayStreaks(dayTotals, goal, useFreezes, today = new Date()) {
+    const result = { current: 0, longest: 0, freezes: 0, frozenDays: [] };
+    const keys = Object.keys(dayTotals).sort();
+    if (keys.length === 0) return result;
+
+    const todayKey = getDayKey(today);
+    const date = new Date(`${keys[0]}T00:00:00`);
+    let sinceFreeze = 0;
+
+    for (let key = keys[0]; key <= todayKey; date.setDate(date.getDate() + 1), key = getDayKey(date)) {
+        if (isGoalMet(dayTotals[key], goal)) {
+            result.current++;
+            result.longest = Math.max(result.longest, result.current);
+
+            sinceFreeze++;
+            if (useFreezes && sinceFreeze === STREAK_FREEZE_DAYS) {
+                sinceFreeze = 0;
+                result.freezes = Math.min(result.freezes + 1, MAX_STREAK_FREEZES);
+            }
+        } else if (key === todayKey) {
+            continue;
+        } else if (useFreezes && result.freezes > 0 && result.current > 0) {
+            result.freezes--;
+            result.frozenDays.push(key);
+        } else {
+            result.current = 0;
+            sinceFreeze = 0;
+        }
+    }
+
+    return result;
+}
+
+/**
+ * Format progress towards the daily goal, e.g. "42 / 100" or "6 / 10 min"
+ */
+function formatGoalProgress(value, goal) {
+    return goal.type === 'minutes'
+        ? `${Math.floor(value)} / ${goal.target} min`
+        : `${value} / ${goal.target}`;
+}
+
+/**
+ * Show today's goal progress ring and the day streak on the home screen
+ */
+function updateDailyGoal() {
+    const dayTotals = buildDayTotals(loadSessions());
+    const goal = getDailyGoal();
+    const today = dayTotals[getDayKey(Date.now())];
+    const value = today ? today[goal.type] : 0;
+    const progress = Math.min(value / goal.target, 1);
+    const { current, longest, freezes } = calculateDayStreaks(dayTotals, goal, state.settings.streakFreezes);
+
+    elements.goalRingFill.style.strokeDasharray = GOAL_RING_LENGTH;
+    elements.goalRingFill.style.strokeDashoffset = GOAL_RING_LENGTH * (1 - progress);
+    elements.goalRingFill.classList.toggle('complete', progress >= 1);
+    elements.goalProgress.textContent = formatGoalProgress(value, goal);
+    elements.goalLabel.textContent = progress >= 1 ? 'Goal met today!' : 'Daily goal';
+
+    elements.dayStreak.textContent = `🔥 ${current} day${current === 1 ? '' : 's'}`;
+    elements.streakDetail.textContent = `Best ${longest}` +
+        (state.settings.streakFreezes ? ` • ❄️ ${freezes} freeze${freezes === 1 ? '' : 's'}` : '');
+}
+
+/**
+ * Render the GitHub-style practice calendar and streak counters on the Analytics screen.
+ * Cells shade by progress towards the daily goal; frozen days are marked.
+ */
+function updatePracticeCalendar(sessions) {
+    const dayTotals = buildDayTotals(sessions);
+    const goal = getDailyGoal();
+    const { current, longest, freezes, frozenDays } = calculateDayStreaks(dayTotals, goal, state.settings.streakFreezes);
+    const frozen = new Set(frozenDays);
+
+    elements.calendarCurrent.textContent = current;
+    elements.calendarLongest.textContent = longest;
+    elements.calendarFreezes.textContent = state.settings.streakFreezes ? freezes : '--';
+
+    // Start on the Sunday CALENDAR_WEEKS - 1 weeks before this week, so columns are weeks
+    const today = new Date();
+    today.setHours(0, 0, 0, 0);
+    const date = new Date(today);
+    date.setDate(date.getDate() - date.getDay() - (CALENDAR_WEEKS - 1) * 7);
+
+    const cells = [];
+    for (; date <= today; date.setDate(date.getDate() + 1)) {
+        const key = getDayKey(date);
+        const day = dayTotals[key];
+        const ratio = day ? day[goal.type] / goal.target : 0;
+        const level = ratio <= 0 ? 0 : ratio >= 1 ? 4 : 1 + Math.floor(ratio * 3);
+        const title = day
+            ? `${key}: ${day.problems} problems, ${Math.round(day.minutes)} min`
+            : `${key}: ${frozen.has(key) ? 'streak freeze used' : 'no practice'}`;
+
+        cells.push(`<span class="calendar-cell level-${level}${frozen.has(key) ? ' frozen' : ''}" title="${title}"></span>`);
+    }
+
+    elements.calendarHeatmap.innerHTML = cells.join('');
+    elements.calendarHeatmap.scrollLeft = elements.calendarHeatmap.scrollWidth;
+}
+
+// ============================================
+// Achievements
+// ============================================
+
+// Each rule gets every saved session, every solve time and the day streaks
+const ACHIEVEMENTS = [
+    {
+        id: 'firstSession',
+        icon: '🎉',
+        name: 'First Steps',
+        description: 'Finish your first session',
+        check: ({ sessions }) => sessions.length > 0
+    },
+    {
+        id: 'problems1000',
+        icon: '💯',
+        name: 'Thousand Club',
+        description: 'Answer 1,000 problems',
+        check: ({ sessions }) => sessions.reduce((sum, s) => sum + s.total, 0) >= 1000
+    },
+    {
+        id: 'perfect20',
+        icon: '🎯',
+        name: 'Flawless',
+        description: 'Finish a session of 20+ problems with 100% accuracy',
+        check: ({ sessions }) => sessions.some(s => s.total >= 20 && s.correct === s.total)
+    },
+    {
+        id: 'inARow25',
+        icon: '📈',
+        name: 'On a Roll',
+        description: '25 correct in a row',
+        check: ({ sessions }) => sessions.some(s => (s.bestStreak || 0) >= 25)
+    },
+    {
+        id: 'inARow100',
+        icon: '🌟',
+        name: 'Unstoppable',
+        description: '100 correct in a row',
+        check: ({ sessions }) => sessions.some(s => (s.bestStreak || 0) >= 100)
+    },
+    {
+        id: 'multiplicationAo5',
+        icon: '✖️',
+        name: 'Times Table Sprinter',
+        description: 'Sub-2s Ao5 in multiplication',
+        check: ({ solveTimes }) => {
+            const best = calculateBestAoN(getOperationTimes(solveTimes, 'multiplication'), 5, 1);
+            return best !== null && best.value < 2;
+        }
+    },
+    {
+        id: 'blitz30',
+        icon: '⏱️',
+        name: 'Blitz Master',
+        description: '30 correct in a 60s Blitz',
+        check: ({ sessions }) => sessions.some(s => s.format === 'blitz' && s.correct >= 30)
+    },
+    {
+        id: 'flashAnzan',
+        icon: '⚡',
+        name: 'Flash Anzan',
+        description: 'Solve a chain of 10 rows @ 0.5s',
+        check: ({ sessions }) => sessions.some(s => s.mode === 'chain' && s.correct > 0 && s.chainConfig &&
+            s.chainConfig.length >= 10 && s.chainConfig.interval <= 500)
+    },
+    {
+        id: 'dailyChallenge',
+        icon: '📅',
+        name: 'Challenger',
+        description: 'Complete a Daily Challenge',
+        check: ({ sessions }) => sessions.some(s => s.daily && s.completed)
+    },
+    {
+        id: 'dayStreak7',
+        icon: '🔥',
+        name: 'Week Streak',
+        description: 'Meet your daily goal 7 days in a row',
+        check: ({ streaks }) => streaks.longest >= 7
+    },
+    {
+        id: 'dayStreak30',
+        icon: '🏆',
+        name: 'Month Streak',
+        description: 'Meet your daily goal 30 days in a row',
+        check: ({ streaks }) => streaks.longest >= 30
+    }
+];
+
+/**
+ * Unlock every achievement whose rule now passes and return the new ones.
+ * Unlocks are saved with their timestamp and never re-locked.
+ */
+function evaluateAchievements(sessions = loadSessions(), solveTimes = loadSolveTimes()) {
+    const unlocked = loadAchievements();
+    const context = {
+        sessions,
+        solveTimes,
+        streaks: calculateDayStreaks(buildDayTotals(sessions), getDailyGoal(), state.settings.streakFreezes)
+    };
+
+    const fresh = ACHIEVEMENTS.filter(achievement => !unlocked[achievement.id] && achievement.check(context));
+    if (fresh.length > 0) {
+        const now = Date.now();
+        fresh.forEach(achievement => {
+            unlocked[achievement.id] = now;
+        });
+        saveAchievements(unlocked);
+    }
+
+    return fresh;
+}
+
+/**
+ * Render the trophy case: unlocked achievements first, newest first, then locked ones
+ */
+function updateTrophyCase() {
+    evaluateAchievements();
+    const unlocked = loadAchievements();
+    const sorted = [...ACHIEVEMENTS].sort((a, b) => (unlocked[b.id] || 0) - (unlocked[a.id] || 0));
+
+    elements.trophyCount.textContent = `${Object.keys(unlocked).length} / ${ACHIEVEMENTS.length} unlocked`;
+    elements.trophyList.innerHTML = sorted.map(achievement => {
+        const time = unlocked[achievement.id];
+        return `
+            <div class="trophy${time ? '' : ' locked'}">
+                <span class="trophy-icon">${time ? achievement.icon : '🔒'}</span>
+                <div class="trophy-info">
+                    <span class="trophy-name">${achievement.name}</span>
+                    <span class="trophy-desc">${achievement.description}</span>
+                </div>
+                <span class="trophy-date">${time ? formatDate(time) : ''}</span>
+            </div>
+        `;
+    }).join('');
+}
+
 // ============================================
 // History Functions
 // ============================================
@@ -902,14 +2688,17 @@ function updateHistory() {
             .map(session => `
                 <div class="history-item">
                     <div class="item-header">
-                        <span class="item-mode">${OPERATIONS[session.mode]?.name || session.mode}</span>
+                        <span class="item-mode">${escapeHtml(OPERATIONS[session.mode]?.name || session.mode)}${session.format && session.format !== 'free' ? ` • ${escapeHtml(getFormatLabel(session.format, session.goal))}` : ''}</span>
                         <span class="item-date">${formatDate(session.timestamp)}</span>
                     </div>
                     <div class="item-stats">
                         <span>✓ ${session.correct}/${session.total}</span>
                         <span>📊 ${session.accuracy}%</span>
                         <span>⏱️ ${formatTime(session.avgTime)}</span>
+                        ${session.problems?.length ? `<button class="item-action" data-review="${session.timestamp}">📋 Review</button>` : ''}
+                        ${session.seed && session.mode !== 'review' && session.mode !== 'retry' ? `<button class="item-action" data-replay="${session.timestamp}" title="Seed ${escapeHtml(session.seed)}">↻ Replay</button>` : ''}
                     </div>
+                    <div class="session-review" style="display: none;"></div>
                 </div>
             `).join('');
     } else {
@@ -923,9 +2712,11 @@ function updateHistory() {
             .slice(0, 50)
             .map(wrong => `
                 <div class="wrong-item">
-                    <span class="problem">${wrong.problem}</span>
-                    <span class="your-answer">Your: ${wrong.userAnswer}</span>
-                    <span class="correct-answer">Correct: ${wrong.correctAnswer}</span>
+                    <span class="problem">${escapeHtml(wrong.problem)}</span>
+                    <span class="your-answer">Your: ${escapeHtml(wrong.userAnswer)}</span>
+                    <span class="correct-answer">Correct: ${escapeHtml(wrong.correctAnswer)}</span>
+                    ${explainWrongAnswer(wrong) ? `<button class="item-action" data-explain="${wrong.timestamp}">💡 Explain</button>` : ''}
+                    <div class="explanation-panel" style="display: none;"></div>
                 </div>
             `).join('');
     } else {
@@ -934,353 +2725,2002 @@ function updateHistory() {
 }
 
 // ============================================
-// Data Persistence (localStorage)
+// Data Persistence (IndexedDB)
 // ============================================
 
 /**
- * Save a session to history
+ * Wrap an IndexedDB request in a promise
  */
-function saveSession(session) {
-    const sessions = loadSessions();
-    sessions.push(session);
+function requestToPromise(request) {
+    return new Promise((resolve, reject) => {
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+    });
+}
+
+/**
+ * Resolve when a transaction has committed
+ */
+function transactionDone(tx) {
+    return new Promise((resolve, reject) => {
+        tx.oncomplete = () => resolve();
+        tx.onerror = () => reject(tx.error);
+        tx.onabort = () => reject(tx.error);
+    });
+}
+
+/**
+ * Open the database, creating the object stores and indexes on first run
+ */
+function openDatabase() {
+    if (typeof indexedDB === 'undefined') {
+        return Promise.reject(new Error('IndexedDB is not available'));
+    }
+
+    const request = indexedDB.open(profileKey(DB_NAME), DB_VERSION);
+
+    request.onupgradeneeded = () => {
+        const db = request.result;
+
+        Object.entries(DB_STORES).forEach(([name, { indexes }]) => {
+            const objectStore = db.objectStoreNames.contains(name)
+                ? request.transaction.objectStore(name)
+                : db.createObjectStore(name, { autoIncrement: true });
+
+            // Later versions may add indexes to existing stores, or drop unused ones
+            indexes.forEach(index => {
+                if (!objectStore.indexNames.contains(index)) {
+                    objectStore.createIndex(index, index);
+                }
+            });
+            [...objectStore.indexNames]
+                .filter(index => !indexes.includes(index))
+                .forEach(index => objectStore.deleteIndex(index));
+        });
+    };
 
-    // Keep only last 100 sessions
-    const trimmed = sessions.slice(-100);
-    localStorage.setItem(STORAGE_KEYS.SESSIONS, JSON.stringify(trimmed));
+    return requestToPromise(request);
 }
 
 /**
- * Load sessions from storage
+ * Read a list from a legacy localStorage key
  */
-function loadSessions() {
+function readLegacyList(key) {
     try {
-        return JSON.parse(localStorage.getItem(STORAGE_KEYS.SESSIONS)) || [];
+        return JSON.parse(localStorage.getItem(key)) || [];
     } catch {
         return [];
     }
 }
 
 /**
- * Save a solve time
+ * Move history lists from localStorage into IndexedDB, then drop the old keys
  */
-function saveSolveTime(time, mode) {
-    const times = loadSolveTimes();
-    times.push({ time, mode, timestamp: Date.now() });
+async function migrateLocalStorage() {
+    const legacy = Object.entries(DB_STORES)
+        .map(([name, { legacyKey }]) => [name, profileKey(legacyKey), readLegacyList(profileKey(legacyKey))])
+        .filter(([, , records]) => records.length > 0);
+
+    if (legacy.length === 0) return;
 
-    // Keep only last 500 times
-    const trimmed = times.slice(-500);
-    localStorage.setItem(STORAGE_KEYS.SOLVE_TIMES, JSON.stringify(trimmed));
+    const tx = store.db.transaction(legacy.map(([name]) => name), 'readwrite');
+    legacy.forEach(([name, , records]) => {
+        records.forEach(record => tx.objectStore(name).add(record));
+    });
+    await transactionDone(tx);
+
+    legacy.forEach(([, legacyKey]) => localStorage.removeItem(legacyKey));
 }
 
 /**
- * Load solve times from storage
+ * Open the active profile's storage and load every store into memory, oldest record first.
+ * Falls back to localStorage when IndexedDB can't be opened (e.g. private browsing).
  */
-function loadSolveTimes() {
+async function initStorage() {
     try {
-        return JSON.parse(localStorage.getItem(STORAGE_KEYS.SOLVE_TIMES)) || [];
-    } catch {
-        return [];
+        store.db = await openDatabase();
+        await migrateLocalStorage();
+
+        const names = Object.keys(DB_STORES);
+        const tx = store.db.transaction(names, 'readonly');
+        const lists = await Promise.all(names.map(name =>
+            requestToPromise(tx.objectStore(name).index('timestamp').getAll())
+        ));
+
+        names.forEach((name, i) => {
+            store[name] = lists[i];
+        });
+    } catch (error) {
+        console.warn('IndexedDB unavailable, using localStorage:', error);
+        store.db = null;
+
+        Object.entries(DB_STORES).forEach(([name, { legacyKey }]) => {
+            store[name] = readLegacyList(profileKey(legacyKey));
+        });
     }
 }
 
 /**
- * Save a wrong answer
+ * Append a record to a store
  */
-function saveWrongAnswer(wrong) {
-    const wrongs = loadWrongAnswers();
-    wrongs.push(wrong);
+function addRecord(name, record) {
+    store[name].push(record);
+
+    if (!store.db) {
+        localStorage.setItem(profileKey(DB_STORES[name].legacyKey), JSON.stringify(store[name]));
+        return;
+    }
 
-    // Keep only last 100 wrong answers
-    const trimmed = wrongs.slice(-100);
-    localStorage.setItem(STORAGE_KEYS.HISTORY, JSON.stringify(trimmed));
+    const tx = store.db.transaction(name, 'readwrite');
+    tx.objectStore(name).add(record);
+    transactionDone(tx).catch(error => console.error(`Failed to save to ${name}:`, error));
 }
 
 /**
- * Load wrong answers from storage
+ * Replace every record in a store
  */
-function loadWrongAnswers() {
-    try {
-        return JSON.parse(localStorage.getItem(STORAGE_KEYS.HISTORY)) || [];
-    } catch {
-        return [];
+function replaceRecords(name, records) {
+    store[name] = [...records];
+
+    if (!store.db) {
+        localStorage.setItem(profileKey(DB_STORES[name].legacyKey), JSON.stringify(store[name]));
+        return;
     }
+
+    const tx = store.db.transaction(name, 'readwrite');
+    const objectStore = tx.objectStore(name);
+    objectStore.clear();
+    records.forEach(record => objectStore.add(record));
+    transactionDone(tx).catch(error => console.error(`Failed to replace ${name}:`, error));
 }
 
 /**
- * Save settings
+ * Read the records whose indexed field equals a value, in the order they were saved.
+ * Without IndexedDB the in-memory copy is filtered instead.
  */
-function saveSettings() {
-    localStorage.setItem(STORAGE_KEYS.SETTINGS, JSON.stringify(state.settings));
+async function queryRecords(name, index, value) {
+    if (!store.db) {
+        return store[name].filter(record => record[index] === value);
+    }
+
+    const tx = store.db.transaction(name, 'readonly');
+    return requestToPromise(tx.objectStore(name).index(index).getAll(value));
 }
 
 /**
- * Load settings from storage
+ * Load one operation's solve times, oldest first. Solve times saved before they
+ * recorded their operation are found through the mode index.
  */
-function loadSettings() {
-    try {
-        const saved = JSON.parse(localStorage.getItem(STORAGE_KEYS.SETTINGS));
-        return { ...DEFAULT_SETTINGS, ...saved };
-    } catch {
-        return { ...DEFAULT_SETTINGS };
-    }
+async function loadOperationSolveTimes(operation) {
+    const [byOperation, byMode] = await Promise.all([
+        queryRecords('solveTimes', 'operation', operation),
+        queryRecords('solveTimes', 'mode', operation)
+    ]);
+
+    return [...byOperation, ...byMode.filter(st => !st.operation)]
+        .sort((a, b) => a.timestamp - b.timestamp);
+}
+
+/**
+ * Save a session to history
+ */
+function saveSession(session) {
+    addRecord('sessions', session);
 }
 
 /**
- * Clear all data
+ * Load sessions from storage
  */
-function clearAllData() {
-    if (confirm('Are you sure you want to delete ALL your progress? This cannot be undone!')) {
-        Object.values(STORAGE_KEYS).forEach(key => {
-            localStorage.removeItem(key);
-        });
+function loadSessions() {
+    return [...store.sessions];
+}
 
-        // Reset state
-        state.settings = { ...DEFAULT_SETTINGS };
+/**
+ * Save a solve time, tagged with both the session mode and the problem's operation
+ */
+function saveSolveTime(time, mode, operation) {
+    addRecord('solveTimes', { time, mode, operation, timestamp: Date.now() });
+}
 
-        // Update UI
-        updateAnalytics();
-        updateHistory();
-        updateSettingsUI();
+/**
+ * Load solve times from storage
+ */
+function loadSolveTimes() {
+    return [...store.solveTimes];
+}
 
-        alert('All data has been cleared.');
-    }
+/**
+ * Save a wrong answer
+ */
+function saveWrongAnswer(wrong) {
+    addRecord('wrongAnswers', wrong);
+
+    // Every miss becomes (or resets) a review card
+    addReviewCard(wrong);
+}
+
+/**
+ * Load wrong answers from storage
+ */
+function loadWrongAnswers() {
+    return [...store.wrongAnswers];
+}
+
+/**
+ * Save the result of a single problem
+ */
+function saveProblemRecord(record) {
+    addRecord('problems', record);
+}
+
+/**
+ * Load per-problem results from storage
+ */
+function loadProblemRecords() {
+    return [...store.problems];
 }
 
 // ============================================
-// Navigation & Screen Management
+// Data Persistence (localStorage)
 // ============================================
 
 /**
- * Show a specific screen
+ * Save the review deck
  */
-function showScreen(screenName) {
-    // Hide all screens
-    Object.values(elements.screens).forEach(screen => {
-        screen.classList.remove('active');
-    });
+function saveReviewDeck(deck) {
+    localStorage.setItem(profileKey(STORAGE_KEYS.REVIEW_DECK), JSON.stringify(deck));
+}
 
-    // Show target screen
-    if (elements.screens[screenName]) {
-        elements.screens[screenName].classList.add('active');
-        state.currentScreen = screenName;
+/**
+ * Load the review deck, seeding it from the wrong-answer history on first use
+ */
+function loadReviewDeck() {
+    try {
+        const saved = JSON.parse(localStorage.getItem(profileKey(STORAGE_KEYS.REVIEW_DECK)));
+        if (saved) return saved;
+    } catch {
+        return [];
+    }
 
-        // Run screen-specific updates
-        if (screenName === 'analytics') {
-            updateAnalytics();
+    const deck = buildReviewDeck(loadWrongAnswers());
+    saveReviewDeck(deck);
+    return deck;
+}
+
+/**
+ * Save adaptive difficulty levels
+ */
+function saveAdaptiveLevels() {
+    localStorage.setItem(profileKey(STORAGE_KEYS.ADAPTIVE_LEVELS), JSON.stringify(state.adaptiveLevels));
+}
+
+/**
+ * Load adaptive difficulty levels from storage
+ */
+function loadAdaptiveLevels() {
+    try {
+        return JSON.parse(localStorage.getItem(profileKey(STORAGE_KEYS.ADAPTIVE_LEVELS))) || {};
+    } catch {
+        return {};
+    }
+}
+
+/**
+ * Save custom Flash Anzan presets
+ */
+function saveChainPresets(presets) {
+    localStorage.setItem(profileKey(STORAGE_KEYS.CHAIN_PRESETS), JSON.stringify(presets));
+}
+
+/**
+ * Load custom Flash Anzan presets from storage
+ */
+function loadChainPresets() {
+    try {
+        return JSON.parse(localStorage.getItem(profileKey(STORAGE_KEYS.CHAIN_PRESETS))) || [];
+    } catch {
+        return [];
+    }
+}
+
+/**
+ * Save workout presets, in display order
+ */
+function saveWorkouts(workouts) {
+    localStorage.setItem(profileKey(STORAGE_KEYS.WORKOUTS), JSON.stringify(workouts));
+}
+
+/**
+ * Load workout presets from storage
+ */
+function loadWorkouts() {
+    try {
+        return JSON.parse(localStorage.getItem(profileKey(STORAGE_KEYS.WORKOUTS))) || [];
+    } catch {
+        return [];
+    }
+}
+
+/**
+ * Save unlocked achievements ({ id: unlock timestamp })
+ */
+function saveAchievements(unlocked) {
+    localStorage.setItem(profileKey(STORAGE_KEYS.ACHIEVEMENTS), JSON.stringify(unlocked));
+}
+
+/**
+ * Load unlocked achievements from storage
+ */
+function loadAchievements() {
+    try {
+        return JSON.parse(localStorage.getItem(profileKey(STORAGE_KEYS.ACHIEVEMENTS))) || {};
+    } catch {
+        return {};
+    }
+}
+
+/**
+ * Save the mixed mode configuration
+ */
+function saveMixedConfig() {
+    localStorage.setItem(profileKey(STORAGE_KEYS.MIXED_CONFIG), JSON.stringify(state.mixedConfig));
+}
+
+/**
+ * Load the mixed mode configuration from storage
+ */
+function loadMixedConfig() {
+    try {
+        const saved = JSON.parse(localStorage.getItem(profileKey(STORAGE_KEYS.MIXED_CONFIG)));
+        return { ...DEFAULT_MIXED_CONFIG, ...saved };
+    } catch {
+        return { ...DEFAULT_MIXED_CONFIG };
+    }
+}
+
+/**
+ * Save settings
+ */
+function saveSettings() {
+    localStorage.setItem(profileKey(STORAGE_KEYS.SETTINGS), JSON.stringify(state.settings));
+}
+
+/**
+ * Load settings from storage
+ */
+function loadSettings() {
+    try {
+        const saved = JSON.parse(localStorage.getItem(profileKey(STORAGE_KEYS.SETTINGS)));
+        return { ...DEFAULT_SETTINGS, ...saved };
+    } catch {
+        return { ...DEFAULT_SETTINGS };
+    }
+}
+
+/**
+ * Save the profile list
+ */
+function saveProfiles(profiles) {
+    localStorage.setItem(PROFILE_KEYS.PROFILES, JSON.stringify(profiles));
+}
+
+/**
+ * Load the profile list, which always has at least the default profile
+ */
+function loadProfiles() {
+    try {
+        const saved = JSON.parse(localStorage.getItem(PROFILE_KEYS.PROFILES));
+        if (saved && saved.length > 0) return saved;
+    } catch {
+        // Fall back to the default profile
+    }
+    return [{ ...DEFAULT_PROFILE }];
+}
+
+/**
+ * Clear the active profile's progress and settings; other profiles are untouched
+ */
+function clearProfileData() {
+    const { name } = getActiveProfile();
+
+    if (confirm(`Are you sure you want to delete ALL of ${name}'s progress? This cannot be undone!`)) {
+        Object.values(STORAGE_KEYS).forEach(key => {
+            localStorage.removeItem(profileKey(key));
+        });
+        Object.keys(DB_STORES).forEach(name => replaceRecords(name, []));
+
+        // Reset state
+        state.settings = { ...DEFAULT_SETTINGS };
+        state.adaptiveLevels = {};
+        state.mixedConfig = { ...DEFAULT_MIXED_CONFIG };
+
+        // Update UI
+        updateAnalytics();
+        updateHistory();
+        updateSettingsUI();
+        updateMixedConfigUI();
+        updateWorkoutsUI();
+
+        alert(`${name}'s data has been cleared.`);
+    }
+}
+
+// ============================================
+// Data Export & Import
+// ============================================
+
+// Upgrades an export from version N to N + 1
+const EXPORT_MIGRATIONS = {
+    // v1: the original four keys, before session formats, seeds and review cards
+    1: (data) => ({
+        ...data,
+        sessions: data.sessions.map(session => ({
+            format: 'free',
+            goal: null,
+            completed: false,
+            ...session
+        })),
+        mixedConfig: data.mixedConfig || { ...DEFAULT_MIXED_CONFIG },
+        reviewDeck: data.reviewDeck || buildReviewDeck(data.wrongAnswers),
+        adaptiveLevels: data.adaptiveLevels || {}
+    }),
+    // v2: adds per-problem results
+    2: (data) => ({
+        ...data,
+        problems: data.problems || []
+    })
+};
+
+/**
+ * Collect everything in storage into a versioned export object
+ */
+function buildExport() {
+    return {
+        app: EXPORT_APP_ID,
+        schemaVersion: EXPORT_SCHEMA_VERSION,
+        exportedAt: new Date().toISOString(),
+        profile: { name: getActiveProfile().name },
+        data: {
+            sessions: loadSessions(),
+            solveTimes: loadSolveTimes(),
+            wrongAnswers: loadWrongAnswers(),
+            problems: loadProblemRecords(),
+            settings: loadSettings(),
+            mixedConfig: loadMixedConfig(),
+            chainPresets: loadChainPresets(),
+            workouts: loadWorkouts(),
+            achievements: loadAchievements(),
+            reviewDeck: loadReviewDeck(),
+            adaptiveLevels: loadAdaptiveLevels()
+        }
+    };
+}
+
+/**
+ * Check that a parsed file is an export we understand.
+ * Throws an Error describing the first problem found.
+ */
+function validateExport(file) {
+    if (!file || typeof file !== 'object' || file.app !== EXPORT_APP_ID) {
+        throw new Error('This is not a Mental Math Trainer export.');
+    }
+
+    if (!Number.isInteger(file.schemaVersion) || file.schemaVersion < 1) {
+        throw new Error('The export has no valid schema version.');
+    }
+
+    if (file.schemaVersion > EXPORT_SCHEMA_VERSION) {
+        throw new Error('The export was made by a newer version of the app. Please update first.');
+    }
+
+    const data = file.data;
+    if (!data || typeof data !== 'object') {
+        throw new Error('The export contains no data.');
+    }
+
+    ['sessions', 'solveTimes', 'wrongAnswers'].forEach(key => {
+        if (!Array.isArray(data[key])) {
+            throw new Error(`The export is missing its ${key} list.`);
+        }
+        if (data[key].some(item => !item || typeof item.timestamp !== 'number')) {
+            throw new Error(`Some ${key} entries have no timestamp.`);
+        }
+    });
+
+    // Own keys only, so names like "constructor" don't pass as modes
+    const isKnown = (map, key) => typeof key === 'string' && Object.prototype.hasOwnProperty.call(map, key);
+    const isNumber = value => Number.isFinite(value);
+    const isOptionalNumber = value => value === undefined || value === null || Number.isFinite(value);
+
+    if (data.sessions.some(s => !isKnown(OPERATIONS, s.mode) || ![s.correct, s.total, s.accuracy].every(isNumber))) {
+        throw new Error('Some sessions are missing their mode or totals.');
+    }
+
+    if (data.sessions.some(s => (s.format !== undefined && !isKnown(SESSION_FORMATS, s.format)) ||
+        ![s.goal, s.avgTime, s.bestTime].every(isOptionalNumber))) {
+        throw new Error('Some sessions have an unknown format or invalid times.');
+    }
+
+    if (data.sessions.some(s => s.problems !== undefined &&
+        (!Array.isArray(s.problems) || s.problems.some(p => !p || typeof p !== 'object')))) {
+        throw new Error('Some sessions have an invalid problem list.');
+    }
+
+    if (data.solveTimes.some(st => !isNumber(st.time))) {
+        throw new Error('Some solve times are not numbers.');
+    }
+
+    const workouts = data.workouts ?? [];
+    if (!Array.isArray(workouts) || workouts.some(w => !w || typeof w.id !== 'string' || typeof w.name !== 'string' ||
+        !isKnown(OPERATIONS, w.mode) || !isKnown(SESSION_FORMATS, w.format) ||
+        !isNumber(w.timeLimit) || ![w.digitRange, w.goal].every(isOptionalNumber) ||
+        (w.mode === 'chain' && !(w.chainConfig && [w.chainConfig.length, w.chainConfig.interval, w.chainConfig.digits].every(isNumber))))) {
+        throw new Error('Some workouts have an unknown mode or format.');
+    }
+}
+
+/**
+ * Bring an export up to the current schema version
+ */
+function migrateExport(file) {
+    let data = file.data;
+
+    for (let version = file.schemaVersion; version < EXPORT_SCHEMA_VERSION; version++) {
+        data = EXPORT_MIGRATIONS[version](data);
+    }
+
+    return data;
+}
+
+/**
+ * Merge two lists of records, dropping duplicates by key and sorting by timestamp
+ */
+function mergeRecords(existing, incoming, keyFn = r => r.timestamp) {
+    const merged = new Map();
+    [...existing, ...incoming].forEach(record => {
+        const key = keyFn(record);
+        if (!merged.has(key)) merged.set(key, record);
+    });
+
+    return [...merged.values()].sort((a, b) => (a.timestamp ?? a.createdAt) - (b.timestamp ?? b.createdAt));
+}
+
+/**
+ * Write imported data to storage, either replacing or merging with what's there
+ */
+function applyImport(data, mode) {
+    let { sessions, solveTimes, wrongAnswers, problems, settings = {}, mixedConfig = {}, adaptiveLevels = {}, chainPresets = [], workouts = [], achievements = {} } = data;
+    let reviewDeck = data.reviewDeck || buildReviewDeck(wrongAnswers);
+
+    if (mode === 'merge') {
+        sessions = mergeRecords(loadSessions(), sessions);
+        solveTimes = mergeRecords(loadSolveTimes(), solveTimes);
+        wrongAnswers = mergeRecords(loadWrongAnswers(), wrongAnswers);
+        problems = mergeRecords(loadProblemRecords(), problems);
+        reviewDeck = mergeRecords(loadReviewDeck(), reviewDeck, card => card.id);
+
+        // Local preferences win when merging
+        settings = { ...settings, ...loadSettings() };
+        mixedConfig = loadMixedConfig();
+        adaptiveLevels = { ...adaptiveLevels, ...loadAdaptiveLevels() };
+        chainPresets = mergeRecords(loadChainPresets(), chainPresets, preset => preset.id);
+
+        // Keep local order and append imported workouts that are new here
+        const local = loadWorkouts();
+        workouts = [...local, ...workouts.filter(w => !local.some(l => l.id === w.id))];
+
+        // Keep the earliest unlock time for achievements earned on both sides
+        const localAchievements = loadAchievements();
+        Object.entries(localAchievements).forEach(([id, time]) => {
+            achievements[id] = Math.min(time, achievements[id] ?? time);
+        });
+    } else {
+        sessions = [...sessions].sort((a, b) => a.timestamp - b.timestamp);
+        solveTimes = [...solveTimes].sort((a, b) => a.timestamp - b.timestamp);
+        wrongAnswers = [...wrongAnswers].sort((a, b) => a.timestamp - b.timestamp);
+        problems = [...problems].sort((a, b) => a.timestamp - b.timestamp);
+    }
+
+    replaceRecords('sessions', sessions);
+    replaceRecords('solveTimes', solveTimes);
+    replaceRecords('wrongAnswers', wrongAnswers);
+    replaceRecords('problems', problems);
+    saveReviewDeck(reviewDeck);
+    saveChainPresets(chainPresets);
+    saveWorkouts(workouts);
+    saveAchievements(achievements);
+
+    state.settings = { ...DEFAULT_SETTINGS, ...settings };
+    state.mixedConfig = { ...DEFAULT_MIXED_CONFIG, ...mixedConfig };
+    state.adaptiveLevels = { ...adaptiveLevels };
+    saveSettings();
+    saveMixedConfig();
+    saveAdaptiveLevels();
+
+    updateSettingsUI();
+    updateMixedConfigUI();
+    updateWorkoutsUI();
+}
+
+/**
+ * Offer a file to the user as a download
+ */
+function downloadFile(filename, content, type) {
+    const url = URL.createObjectURL(new Blob([content], { type }));
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = filename;
+    link.click();
+    URL.revokeObjectURL(url);
+}
+
+/**
+ * Quote a value for CSV output
+ */
+function toCsvValue(value) {
+    if (value === null || value === undefined) return '';
+    const text = String(value);
+    return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Build a CSV document from a header list and rows of values
+ */
+function toCsv(headers, rows) {
+    return [headers, ...rows].map(row => row.map(toCsvValue).join(',')).join('\n');
+}
+
+/**
+ * File name prefix for exports, e.g. "mental-math-player-1"
+ */
+function getExportPrefix() {
+    const slug = getActiveProfile().name.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '');
+    return slug ? `mental-math-${slug}` : 'mental-math';
+}
+
+/**
+ * Export all data as a JSON file
+ */
+function exportJson() {
+    const day = new Date().toISOString().slice(0, 10);
+    downloadFile(`${getExportPrefix()}-${day}.json`, JSON.stringify(buildExport(), null, 2), 'application/json');
+}
+
+/**
+ * Export sessions and solve times as CSV files
+ */
+function exportCsv() {
+    const day = new Date().toISOString().slice(0, 10);
+
+    const sessionRows = loadSessions().map(s => [
+        new Date(s.timestamp).toISOString(), s.mode, s.format || 'free', s.goal, s.completed,
+        s.correct, s.total, s.accuracy, s.avgTime, s.bestTime, s.duration, s.seed
+    ]);
+    downloadFile(`${getExportPrefix()}-sessions-${day}.csv`, toCsv(
+        ['date', 'mode', 'format', 'goal', 'completed', 'correct', 'total', 'accuracy', 'avgTime', 'bestTime', 'duration', 'seed'],
+        sessionRows
+    ), 'text/csv');
+
+    const timeRows = loadSolveTimes().map(st => [new Date(st.timestamp).toISOString(), st.mode, getSolveOperation(st), st.time]);
+    downloadFile(`${getExportPrefix()}-solve-times-${day}.csv`, toCsv(['date', 'mode', 'operation', 'time'], timeRows), 'text/csv');
+}
+
+/**
+ * Import a JSON export chosen by the user
+ */
+function importJson(file) {
+    const mode = elements.importMode.value;
+    const reader = new FileReader();
+
+    reader.onload = () => {
+        try {
+            const parsed = JSON.parse(reader.result);
+            validateExport(parsed);
+
+            if (mode === 'replace' && !confirm('Replace ALL current progress with this file? This cannot be undone!')) {
+                return;
+            }
+
+            const data = migrateExport(parsed);
+            applyImport(data, mode);
+
+            alert(`Imported ${data.sessions.length} sessions and ${data.solveTimes.length} solve times.`);
+        } catch (error) {
+            alert(`Import failed: ${error instanceof SyntaxError ? 'the file is not valid JSON.' : error.message}`);
+        }
+    };
+
+    reader.readAsText(file);
+}
+
+// ============================================
+// Navigation & Screen Management
+// ============================================
+
+/**
+ * Show a specific screen and keep the URL in sync with it
+ */
+function showScreen(screenName) {
+    const previous = state.currentScreen;
+
+    // Hide all screens
+    Object.values(elements.screens).forEach(screen => {
+        screen.classList.remove('active');
+    });
+
+    // Show target screen
+    if (elements.screens[screenName]) {
+        elements.screens[screenName].classList.add('active');
+        state.currentScreen = screenName;
+
+        // Run screen-specific updates
+        if (screenName === 'home') {
+            updateReviewBadge();
+            updateDailyChallengeButton();
+            updateDailyGoal();
+        } else if (screenName === 'analytics') {
+            updateAnalytics();
         } else if (screenName === 'history') {
             updateHistory();
+        } else if (screenName === 'trophies') {
+            updateTrophyCase();
+        } else if (screenName === 'power') {
+            renderPowerTable();
+        } else if (screenName === 'multiplication') {
+            renderMultiplicationTable();
+            applyMultiplicationHeatmap();
+        }
+
+        updateRoute(screenName, previous);
+    }
+}
+
+/**
+ * Go back to home screen
+ */
+function goHome() {
+    if (state.session.active) {
+        if (!confirm('End current session?')) {
+            return;
         }
+        endSession();
+        return;
+    }
+    showScreen('home');
+}
+
+// ============================================
+// Routing
+// ============================================
+
+// True while a URL is being applied, so the screens it opens replace the history entry
+let routing = false;
+
+/**
+ * URL for a screen, e.g. "#/analytics" or "#/practice/division?time=10&digits=2"
+ */
+function getScreenRoute(screenName) {
+    if (screenName === 'practice') return getSessionRoute(state.session);
+    return screenName === 'home' ? '#/' : `#/${screenName}`;
+}
+
+/**
+ * URL that starts the same drill as a session: mode, time limit, range, format,
+ * chain setup and mixed levels, plus the seed for seeded sessions (replays) so the
+ * problems match too
+ */
+function getSessionRoute(session) {
+    if (session.daily) return '#/daily';
+
+    const { mode } = session;
+    const params = new URLSearchParams({ time: session.timeLimit });
+
+    if (!TECHNIQUE_DRILLS[mode] && mode !== 'review') {
+        params.set('digits', session.digitRange);
+    }
+    if (session.format !== 'free') {
+        params.set('format', session.format);
+        if (session.goal) params.set('goal', session.goal);
+    }
+    if (NEGATIVE_RESULT_MODES.includes(mode) && session.allowNegative) {
+        params.set('neg', 1);
+    }
+    if (mode === 'chain') {
+        const config = session.chainConfig;
+        params.set('rows', config.length);
+        params.set('interval', config.interval);
+        params.set('chaindigits', config.digits);
+        params.set('signs', config.signs);
+        if (config.allowNegative) params.set('neg', 1);
+        if (config.gap) params.set('gap', 1);
     }
+    if (mode === 'mixed') {
+        // One level digit per operation, in DEFAULT_MIXED_CONFIG order, e.g. "22222000"
+        params.set('levels', Object.keys(DEFAULT_MIXED_CONFIG).map(op => session.mixedConfig[op]).join(''));
+    }
+    if (session.seeded) {
+        params.set('seed', session.seed);
+    }
+
+    return `#/practice/${mode}?${params}`;
+}
+
+/**
+ * Parse a URL hash into { screen, mode, options }. Unknown or invalid parts are
+ * dropped, and anything that isn't a known screen opens home.
+ */
+function parseRoute(hash) {
+    const [path, query = ''] = hash.replace(/^#\/?/, '').split('?');
+    const [screen, mode] = path.split('/');
+    const params = new URLSearchParams(query);
+
+    if (screen === 'daily') {
+        return { screen: 'daily' };
+    }
+
+    // Fact drills and retries need a list of problems, which doesn't fit in a URL
+    if (screen !== 'practice' || !OPERATIONS[mode] || mode === 'drill' || mode === 'retry') {
+        return { screen: ROUTED_SCREENS.includes(screen) ? screen : 'home' };
+    }
+
+    const number = (key, min, max) => {
+        const value = parseInt(params.get(key));
+        return value >= min && value <= max ? value : undefined;
+    };
+
+    const options = {};
+    const time = number('time', 0, 600);
+    const digits = number('digits', 1, 3);
+    const format = params.get('format');
+    const goal = number('goal', 1, 1000);
+
+    if (time !== undefined) options.timeLimit = time;
+    if (digits !== undefined) options.digitRange = digits;
+    if (SESSION_FORMATS[format] && format !== 'daily') options.format = format;
+    if (goal !== undefined) options.goal = goal;
+    if (params.get('seed')) options.seed = params.get('seed');
+    if (NEGATIVE_RESULT_MODES.includes(mode)) options.allowNegative = params.get('neg') === '1';
+
+    if (mode === 'chain') {
+        const config = getChainConfig();
+        const signs = params.get('signs');
+        options.chainConfig = {
+            length: number('rows', CHAIN_LENGTH_LIMITS.min, CHAIN_LENGTH_LIMITS.max) ?? config.length,
+            interval: number('interval', CHAIN_INTERVAL_LIMITS.min, CHAIN_INTERVAL_LIMITS.max) ?? config.interval,
+            digits: number('chaindigits', 0, 4) ?? config.digits,
+            signs: signs === 'add' || signs === 'mixed' ? signs : config.signs,
+            allowNegative: params.get('neg') === '1',
+            gap: params.get('gap') === '1'
+        };
+    }
+
+    // Mixed levels only count when every operation has one and at least one is trained
+    const levels = params.get('levels') || '';
+    const ops = Object.keys(DEFAULT_MIXED_CONFIG);
+    if (mode === 'mixed' && levels.length === ops.length && /^[0-5]+$/.test(levels) && /[1-5]/.test(levels)) {
+        options.mixedConfig = Object.fromEntries(ops.map((op, i) => [op, parseInt(levels[i])]));
+    }
+
+    return { screen: 'practice', mode, options };
+}
+
+/**
+ * Record a screen change in the browser history. Returning to the screen we came
+ * from steps back; a session and its results share one entry.
+ */
+function updateRoute(screenName, previous) {
+    const route = getScreenRoute(screenName);
+    if (route === state.route) return;
+
+    const from = state.route;
+    state.route = route;
+
+    // Back / Forward out of a session (confirmed in handleRoute) has already left its
+    // entry, so the results get a new entry above the one the browser moved to
+    const current = location.hash || '#/';
+
+    if (routing) {
+        history.replaceState(history.state, '', route);
+    } else if (history.state && history.state.back === route) {
+        history.back();
+    } else if (current !== from) {
+        history.pushState({ back: current }, '', route);
+    } else if (previous === 'practice' || previous === 'complete') {
+        history.replaceState(history.state, '', route);
+    } else {
+        history.pushState({ back: from }, '', route);
+    }
+}
+
+/**
+ * Open the screen (or start the drill) in the URL. Runs on load and on Back / Forward.
+ */
+function handleRoute() {
+    const hash = location.hash || '#/';
+    if (hash === state.route) return;
+
+    // Leaving a running session asks first, just like the practice screen's Back button
+    if (state.session.active) {
+        goHome();
+        if (state.session.active) {
+            history.pushState({ back: hash }, '', state.route);
+        }
+        return;
+    }
+
+    const route = parseRoute(hash);
+    routing = true;
+
+    if (route.screen === 'daily') {
+        startDailyChallenge();
+    } else if (route.screen === 'practice') {
+        startSession(route.mode, route.options);
+    } else {
+        showScreen(route.screen);
+    }
+
+    // Nothing to practise (e.g. no review cards due)
+    if (['daily', 'practice'].includes(route.screen) && !['practice', 'complete'].includes(state.currentScreen)) {
+        showScreen('home');
+    }
+
+    // Links that open something else (e.g. an old #/complete entry) show the screen's own URL
+    if (location.hash !== state.route) {
+        history.replaceState(history.state, '', state.route);
+    }
+
+    routing = false;
+}
+
+/**
+ * Copy a link that starts the drill just played, for sending to teammates
+ */
+function copySessionLink() {
+    const url = `${location.origin}${location.pathname}${getSessionRoute(state.session)}`;
+    const button = document.getElementById('share-link-btn');
+
+    const copied = () => {
+        button.textContent = '✓ Link Copied';
+        setTimeout(() => {
+            button.textContent = '🔗 Share Link';
+        }, 2000);
+    };
+
+    if (navigator.clipboard) {
+        navigator.clipboard.writeText(url).then(copied, () => prompt('Copy this link:', url));
+    } else {
+        prompt('Copy this link:', url);
+    }
+}
+
+// ============================================
+// Power Table Functions
+// ============================================
+
+let powerTableInitialized = false;
+
+function renderPowerTable() {
+    if (powerTableInitialized) return;
+
+    const MAX_BASE = 20;
+    const MAX_POWER = 20;
+
+    // Clear existing content if any (safeguard)
+    // elements.powerHeaderRow.innerHTML = '<th>x \\ n</th>'; // Keep the first th
+    // elements.powerTableBody.innerHTML = '';
+
+    // 1. Create Headers (Exponent n)
+    // First confirm we only have the first child
+    while (elements.powerHeaderRow.children.length > 1) {
+        elements.powerHeaderRow.removeChild(elements.powerHeaderRow.lastChild);
+    }
+
+    for (let n = 1; n <= MAX_POWER; n++) {
+        const th = document.createElement('th');
+        th.innerHTML = `x<sup class="math-sup">${n}</sup>`;
+        th.title = `Exponent ${n}`;
+        elements.powerHeaderRow.appendChild(th);
+    }
+
+    // 2. Create Rows (Base x)
+    elements.powerTableBody.innerHTML = '';
+    for (let x = 1; x <= MAX_BASE; x++) {
+        const tr = document.createElement('tr');
+
+        // First column: Sticky Base Number Header
+        const thRow = document.createElement('th');
+        thRow.textContent = x;
+        thRow.title = `Base ${x}`;
+        tr.appendChild(thRow);
+
+        // Data Cells
+        for (let n = 1; n <= MAX_POWER; n++) {
+            const td = document.createElement('td');
+
+            // Calculation using BigInt for accuracy with large numbers
+            const val = BigInt(x) ** BigInt(n);
+
+            // Formatting with commas
+            td.textContent = val.toLocaleString('en-US');
+
+            // Tooltip
+            td.title = `${x}^${n} = ${val.toLocaleString('en-US')}`;
+
+            tr.appendChild(td);
+        }
+        elements.powerTableBody.appendChild(tr);
+    }
+
+    powerTableInitialized = true;
+}
+
+// Multiplication Table Function
+let multiTableInitialized = false;
+
+function renderMultiplicationTable() {
+    if (multiTableInitialized) return;
+
+    const MAX_NUM = 40;
+    const headerRow = document.getElementById('multi-header-row');
+    const tableBody = document.getElementById('multi-table-body');
+
+    // 1. Generate Header Row (Top)
+    // Clear check
+    while (headerRow.children.length > 1) {
+        headerRow.removeChild(headerRow.lastChild);
+    }
+
+    for (let i = 1; i <= MAX_NUM; i++) {
+        const th = document.createElement('th');
+        th.textContent = i;
+        th.dataset.col = i;
+        headerRow.appendChild(th);
+    }
+
+    // 2. Generate Data Rows
+    tableBody.innerHTML = '';
+    for (let r = 1; r <= MAX_NUM; r++) {
+        const tr = document.createElement('tr');
+
+        // Row Header (Left)
+        const thRow = document.createElement('th');
+        thRow.textContent = r;
+        thRow.dataset.row = r;
+        tr.appendChild(thRow);
+
+        // Cells
+        for (let c = 1; c <= MAX_NUM; c++) {
+            const td = document.createElement('td');
+            const value = r * c;
+            td.textContent = value.toLocaleString();
+            td.title = `${r} x ${c} = ${value}`;
+            td.dataset.a = r;
+            td.dataset.b = c;
+            tr.appendChild(td);
+        }
+
+        tableBody.appendChild(tr);
+    }
+
+    multiTableInitialized = true;
+}
+
+/**
+ * Collect accuracy and solve times per multiplication fact from multiplication problems.
+ * Facts are commutative, so 7×8 and 8×7 share one entry keyed "7×8".
+ */
+function buildFactStats(problems) {
+    const facts = new Map();
+
+    problems.forEach(p => {
+        const key = `${Math.min(p.a, p.b)}×${Math.max(p.a, p.b)}`;
+        if (!facts.has(key)) facts.set(key, { correct: 0, total: 0, times: [] });
+
+        const fact = facts.get(key);
+        fact.total++;
+        if (p.correct) {
+            fact.correct++;
+            fact.times.push(p.time);
+        }
+    });
+
+    facts.forEach(fact => {
+        const sorted = [...fact.times].sort((a, b) => a - b);
+        const mid = Math.floor(sorted.length / 2);
+        fact.accuracy = fact.correct / fact.total;
+        fact.median = sorted.length === 0 ? null
+            : sorted.length % 2 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2;
+    });
+
+    return facts;
+}
+
+/**
+ * Pick a heatmap colour: 0 = weakest (red), 1 = strongest (green)
+ */
+function getHeatColor(score) {
+    const hue = Math.round(Math.max(0, Math.min(1, score)) * 120);
+    return `hsla(${hue}, 70%, 55%, 0.45)`;
+}
+
+/**
+ * Colour the multiplication table by accuracy or median time, or clear the overlay
+ */
+async function applyMultiplicationHeatmap() {
+    const overlay = elements.heatmapMode.value;
+    const facts = overlay === 'off' ? null : buildFactStats(await queryRecords('problems', 'operation', 'multiplication'));
+    const targetTime = state.settings.targetTime;
+
+    elements.multiplicationTable.classList.toggle('heatmap-active', overlay !== 'off');
+    elements.heatmapLegend.style.display = overlay === 'off' ? 'none' : 'flex';
+
+    elements.multiplicationTable.querySelectorAll('td').forEach(td => {
+        const a = parseInt(td.dataset.a);
+        const b = parseInt(td.dataset.b);
+        const title = `${a} x ${b} = ${a * b}`;
+        const fact = facts?.get(`${Math.min(a, b)}×${Math.max(a, b)}`);
+
+        if (!fact) {
+            td.style.backgroundColor = '';
+            td.title = facts ? `${title}\nNot practised yet` : title;
+            return;
+        }
+
+        // Speed: at or under half the target time is best, double the target is worst
+        const score = overlay === 'accuracy'
+            ? fact.accuracy
+            : fact.median === null ? 0 : 1 - (fact.median - targetTime / 2) / (targetTime * 1.5);
+
+        td.style.backgroundColor = getHeatColor(score);
+        td.title = `${title}\n${(fact.accuracy * 100).toFixed(0)}% of ${fact.total} • median ${formatTime(fact.median)}`;
+    });
+}
+
+/**
+ * Start a drill on the multiplication facts behind a clicked cell, row or column header
+ */
+function handleMultiplicationTableClick(event) {
+    if (elements.heatmapMode.value === 'off') return;
+
+    const target = event.target.closest('td, th');
+    if (!target) return;
+
+    const MAX_NUM = 40;
+    let facts = [];
+    let label;
+
+    if (target.dataset.a) {
+        facts = [[parseInt(target.dataset.a), parseInt(target.dataset.b)]];
+        label = `${target.dataset.a} × ${target.dataset.b}`;
+    } else {
+        const factor = parseInt(target.dataset.row || target.dataset.col);
+        if (!factor) return;
+
+        for (let n = 2; n <= MAX_NUM; n++) {
+            facts.push([factor, n]);
+        }
+        label = `the ${factor}× table`;
+    }
+
+    if (confirm(`Start a drill on ${label}?`)) {
+        startSession('drill', { facts });
+    }
+}
+
+// ============================================
+// Settings UI
+// ============================================
+
+/**
+ * Update settings UI from state
+ */
+function updateSettingsUI() {
+    elements.digitRange.value = state.settings.digitRange;
+    elements.chainLength.value = state.settings.chainLength;
+    elements.targetTime.value = state.settings.targetTime;
+    elements.targetTime.value = state.settings.targetTime;
+    elements.targetStreak.value = state.settings.targetStreak;
+    elements.sessionLength.value = state.settings.sessionLength;
+    elements.dailyGoalType.value = state.settings.dailyGoalType;
+    elements.dailyGoalTarget.value = state.settings.dailyGoalTarget;
+    elements.streakFreezes.checked = state.settings.streakFreezes;
+    elements.formatCountBtn.textContent = `${state.settings.sessionLength} Problems`;
+    elements.formatStreakBtn.textContent = `Streak of ${state.settings.targetStreak}`;
+    elements.adaptiveDifficulty.checked = state.settings.adaptive;
+    elements.explainMistakes.checked = state.settings.explainMistakes;
+    elements.allowNegative.checked = state.settings.allowNegative;
+    elements.keypadSetting.value = state.settings.keypad;
+    updateKeypad();
+    elements.adaptiveTarget.value = state.settings.adaptiveTarget;
+    elements.chainInterval.value = state.settings.chainInterval;
+    elements.chainDigits.value = state.settings.chainDigits;
+    elements.chainSigns.value = state.settings.chainSigns;
+    elements.chainAllowNegative.checked = state.settings.chainAllowNegative;
+    elements.chainGap.checked = state.settings.chainGap;
+    elements.chainAudio.value = state.settings.chainAudio;
+    elements.chainSpeechRate.value = state.settings.chainSpeechRate;
+    elements.chainSpeechLang.value = state.settings.chainSpeechLang;
+    elements.chainHideDisplay.checked = state.settings.chainHideDisplay;
+    updateVoiceOptions();
+
+    // Preset list, with the matching preset (if any) selected
+    const match = findMatchingChainPreset();
+    elements.chainPreset.innerHTML = '<option value="">Custom</option>' + getChainPresets()
+        .map(preset => `<option value="${escapeHtml(preset.id)}">${preset.builtIn ? '' : '★ '}${escapeHtml(preset.label)}</option>`)
+        .join('');
+    elements.chainPreset.value = match ? match.id : '';
+
+    // Apply theme
+    if (state.settings.darkMode) {
+        document.body.classList.add('dark-mode');
+        document.querySelector('.theme-toggle .icon').textContent = '☀️';
+    } else {
+        document.body.classList.remove('dark-mode');
+        document.querySelector('.theme-toggle .icon').textContent = '🌙';
+    }
+}
+
+/**
+ * Handle settings change
+ */
+function handleSettingChange(event) {
+    const { id, value } = event.target;
+
+    switch (id) {
+        case 'digit-range':
+            state.settings.digitRange = parseInt(value);
+            break;
+        case 'chain-length':
+            state.settings.chainLength = Math.min(CHAIN_LENGTH_LIMITS.max,
+                Math.max(CHAIN_LENGTH_LIMITS.min, parseInt(value) || DEFAULT_SETTINGS.chainLength));
+            break;
+        case 'target-time':
+            state.settings.targetTime = Math.max(1, parseInt(value) || DEFAULT_SETTINGS.targetTime);
+            break;
+        case 'target-streak':
+        case 'target-streak':
+            state.settings.targetStreak = Math.max(1, parseInt(value) || DEFAULT_SETTINGS.targetStreak);
+            break;
+        case 'session-length':
+            state.settings.sessionLength = Math.max(1, parseInt(value) || DEFAULT_SETTINGS.sessionLength);
+            break;
+        case 'daily-goal-type':
+            state.settings.dailyGoalType = value;
+            state.settings.dailyGoalTarget = DAILY_GOAL_DEFAULTS[value];
+            break;
+        case 'daily-goal-target':
+            state.settings.dailyGoalTarget = Math.max(1, parseInt(value) || DAILY_GOAL_DEFAULTS[state.settings.dailyGoalType]);
+            break;
+        case 'streak-freezes':
+            state.settings.streakFreezes = event.target.checked;
+            break;
+        case 'adaptive-difficulty':
+            state.settings.adaptive = event.target.checked;
+            break;
+        case 'explain-mistakes':
+            state.settings.explainMistakes = event.target.checked;
+            break;
+        case 'allow-negative':
+            state.settings.allowNegative = event.target.checked;
+            break;
+        case 'keypad-setting':
+            state.settings.keypad = value;
+            break;
+        case 'adaptive-target':
+            state.settings.adaptiveTarget = parseInt(value);
+            break;
+        case 'chain-preset': {
+            const preset = getChainPresets().find(p => p.id === value);
+            if (preset) applyChainConfig(preset);
+            break;
+        }
+        case 'chain-interval':
+            state.settings.chainInterval = Math.min(CHAIN_INTERVAL_LIMITS.max,
+                Math.max(CHAIN_INTERVAL_LIMITS.min, parseInt(value) || DEFAULT_SETTINGS.chainInterval));
+            break;
+        case 'chain-digits':
+            state.settings.chainDigits = parseInt(value);
+            break;
+        case 'chain-signs':
+            state.settings.chainSigns = value;
+            break;
+        case 'chain-allow-negative':
+            state.settings.chainAllowNegative = event.target.checked;
+            break;
+        case 'chain-gap':
+            state.settings.chainGap = event.target.checked;
+            break;
+        case 'chain-audio':
+            state.settings.chainAudio = value;
+            break;
+        case 'chain-voice':
+            state.settings.chainVoice = value;
+            break;
+        case 'chain-speech-rate':
+            state.settings.chainSpeechRate = parseFloat(value);
+            break;
+        case 'chain-speech-lang':
+            state.settings.chainSpeechLang = value;
+            state.settings.chainVoice = '';
+            break;
+        case 'chain-hide-display':
+            state.settings.chainHideDisplay = event.target.checked;
+            break;
+    }
+
+    saveSettings();
+    updateSettingsUI();
+}
+
+/**
+ * Toggle Dark Mode
+ */
+function toggleTheme() {
+    state.settings.darkMode = !state.settings.darkMode;
+
+    if (state.settings.darkMode) {
+        document.body.classList.add('dark-mode');
+        document.querySelector('.theme-toggle .icon').textContent = '☀️';
+    } else {
+        document.body.classList.remove('dark-mode');
+        document.querySelector('.theme-toggle .icon').textContent = '🌙';
+    }
+
+    saveSettings();
+}
+
+// ============================================
+// Mixed Config Modal
+// ============================================
+
+function showMixedModal() {
+    const modal = document.getElementById('mixed-config-modal');
+    modal.style.display = 'flex';
+}
+
+function hideMixedModal() {
+    const modal = document.getElementById('mixed-config-modal');
+    modal.style.display = 'none';
+}
+
+function readMixedConfig() {
+    Object.keys(DEFAULT_MIXED_CONFIG).forEach(op => {
+        state.mixedConfig[op] = parseInt(document.getElementById(`mixed-${op}`).value);
+    });
+}
+
+function updateMixedConfigUI() {
+    Object.keys(DEFAULT_MIXED_CONFIG).forEach(op => {
+        document.getElementById(`mixed-${op}`).value = state.mixedConfig[op];
+    });
+}
+
+// ============================================
+// Workout Presets
+// ============================================
+
+// Workout being edited in the modal (null = new workout)
+let editingWorkoutId = null;
+
+/**
+ * Session options for a workout
+ */
+function getWorkoutOptions(workout) {
+    const options = {
+        timeLimit: workout.timeLimit,
+        digitRange: workout.digitRange,
+        format: workout.format,
+        goal: workout.goal ?? getFormatGoal(workout.format)
+    };
+
+    if (workout.mode === 'mixed') options.mixedConfig = { ...workout.mixedConfig };
+    if (workout.mode === 'chain') options.chainConfig = { ...workout.chainConfig };
+    return options;
+}
+
+/**
+ * Start a session from a saved workout
+ */
+function startWorkout(id) {
+    const workout = loadWorkouts().find(w => w.id === id);
+    if (workout) {
+        startSession(workout.mode, getWorkoutOptions(workout));
+    }
+}
+
+/**
+ * One-line summary of a workout, e.g. "Multiplication • 10s • 1-99 • 20 Problems"
+ */
+function describeWorkout(workout) {
+    const parts = [
+        OPERATIONS[workout.mode]?.name || workout.mode,
+        workout.timeLimit > 0 ? `${workout.timeLimit}s` : '∞'
+    ];
+
+    if (workout.mode === 'chain') {
+        parts.push(describeChainConfig(workout.chainConfig));
+    } else if (!TECHNIQUE_DRILLS[workout.mode]) {
+        parts.push(DIGIT_RANGE_LABELS[workout.digitRange]);
+    }
+    if (workout.format !== 'free') {
+        parts.push(getFormatLabel(workout.format, workout.goal));
+    }
+    return parts.join(' • ');
+}
+
+/**
+ * Render workout buttons on the home screen and the list in Settings
+ */
+function updateWorkoutsUI() {
+    const workouts = loadWorkouts();
+
+    elements.workoutList.innerHTML = workouts.map(workout => `
+        <button class="mode-btn tool-btn workout-btn" data-workout="${escapeHtml(workout.id)}">
+            <span class="workout-name">${escapeHtml(workout.name)}</span>
+            <span class="workout-desc">${escapeHtml(describeWorkout(workout))}</span>
+        </button>
+    `).join('');
+
+    elements.workoutManageList.innerHTML = workouts.length > 0
+        ? workouts.map((workout, i) => `
+            <div class="workout-row" data-workout="${escapeHtml(workout.id)}">
+                <div class="workout-row-info">
+                    <span class="workout-name">${escapeHtml(workout.name)}</span>
+                    <span class="workout-desc">${escapeHtml(describeWorkout(workout))}</span>
+                </div>
+                <button class="setting-btn" data-action="up" title="Move up" ${i === 0 ? 'disabled' : ''}>↑</button>
+                <button class="setting-btn" data-action="down" title="Move down" ${i === workouts.length - 1 ? 'disabled' : ''}>↓</button>
+                <button class="setting-btn" data-action="edit" title="Edit">✎</button>
+                <button class="setting-btn" data-action="delete" title="Delete">✕</button>
+            </div>
+        `).join('')
+        : '<p class="setting-hint">No workouts yet.</p>';
+}
+
+/**
+ * Show or hide the editor fields that only apply to some modes and formats
+ */
+function updateWorkoutEditorFields() {
+    const mode = document.getElementById('workout-mode').value;
+    const format = document.getElementById('workout-format').value;
+
+    document.getElementById('workout-mixed-rows').style.display = mode === 'mixed' ? 'flex' : 'none';
+    document.getElementById('workout-chain-row').style.display = mode === 'chain' ? 'flex' : 'none';
+    document.getElementById('workout-goal-row').style.display =
+        format === 'count' || format === 'streak' ? 'flex' : 'none';
+}
+
+/**
+ * Open the workout editor, empty for a new workout or filled in from a saved one
+ */
+function openWorkoutEditor(id = null) {
+    const saved = loadWorkouts().find(w => w.id === id);
+    editingWorkoutId = saved ? id : null;
+
+    // New workouts start from the current home screen selections
+    const workout = saved || {
+        name: '',
+        mode: 'multiplication',
+        timeLimit: state.timeLimit,
+        digitRange: state.settings.digitRange,
+        format: state.sessionFormat === 'daily' ? 'free' : state.sessionFormat,
+        goal: getFormatGoal(state.sessionFormat),
+        mixedConfig: { ...state.mixedConfig },
+        chainConfig: getChainConfig()
+    };
+
+    document.getElementById('workout-modal-title').textContent = saved ? 'Edit Workout' : 'New Workout';
+    document.getElementById('workout-name').value = workout.name;
+    document.getElementById('workout-mode').innerHTML = Object.entries(OPERATIONS)
+        .filter(([key]) => !WORKOUT_EXCLUDED_MODES.includes(key))
+        .map(([key, op]) => `<option value="${key}">${op.name}</option>`)
+        .join('');
+    document.getElementById('workout-mode').value = workout.mode;
+    document.getElementById('workout-time').value = workout.timeLimit;
+    document.getElementById('workout-digits').value = workout.digitRange;
+    document.getElementById('workout-format').value = workout.format;
+    document.getElementById('workout-goal').value = workout.goal ?? state.settings.sessionLength;
+
+    document.getElementById('workout-mixed-rows').innerHTML = Object.keys(DEFAULT_MIXED_CONFIG).map(op => `
+        <div class="mixed-row">
+            <span class="mixed-label">${escapeHtml(OPERATIONS[op].name)}</span>
+            <select class="mixed-select" data-op="${op}">
+                ${MIXED_LEVEL_NAMES.map((name, level) => `<option value="${level}">${name}</option>`).join('')}
+            </select>
+        </div>
+    `).join('');
+    document.querySelectorAll('#workout-mixed-rows select').forEach(select => {
+        select.value = workout.mixedConfig?.[select.dataset.op] ?? DEFAULT_MIXED_CONFIG[select.dataset.op];
+    });
+
+    // Chain setup: the workout's own config first, then the presets
+    const chainSelect = document.getElementById('workout-chain');
+    chainSelect.innerHTML = `<option value="">${escapeHtml(describeChainConfig(workout.chainConfig || getChainConfig()))}</option>` +
+        getChainPresets().map(preset => `<option value="${escapeHtml(preset.id)}">${escapeHtml(preset.label)}</option>`).join('');
+    chainSelect.value = '';
+    chainSelect.dataset.config = JSON.stringify(workout.chainConfig || getChainConfig());
+
+    updateWorkoutEditorFields();
+    elements.workoutModal.style.display = 'flex';
+    document.getElementById('workout-name').focus();
+}
+
+function hideWorkoutEditor() {
+    elements.workoutModal.style.display = 'none';
+    editingWorkoutId = null;
+}
+
+/**
+ * Save the workout in the editor, replacing the one being edited
+ */
+function saveWorkoutFromEditor() {
+    const name = document.getElementById('workout-name').value.trim();
+    if (!name) {
+        alert('Give the workout a name.');
+        return;
+    }
+
+    const format = document.getElementById('workout-format').value;
+    const mixedConfig = {};
+    document.querySelectorAll('#workout-mixed-rows select').forEach(select => {
+        mixedConfig[select.dataset.op] = parseInt(select.value);
+    });
+
+    const chainSelect = document.getElementById('workout-chain');
+    const preset = getChainPresets().find(p => p.id === chainSelect.value);
+    const chainConfig = preset
+        ? { length: preset.length, interval: preset.interval, digits: preset.digits, signs: preset.signs, allowNegative: preset.allowNegative, gap: preset.gap }
+        : JSON.parse(chainSelect.dataset.config);
+
+    const workout = {
+        id: editingWorkoutId || `workout-${Date.now()}`,
+        name,
+        mode: document.getElementById('workout-mode').value,
+        timeLimit: parseInt(document.getElementById('workout-time').value),
+        digitRange: parseInt(document.getElementById('workout-digits').value),
+        format,
+        goal: format === 'count' || format === 'streak'
+            ? Math.max(1, parseInt(document.getElementById('workout-goal').value) || 1)
+            : null,
+        mixedConfig,
+        chainConfig
+    };
+
+    const workouts = loadWorkouts();
+    const index = workouts.findIndex(w => w.id === workout.id);
+    if (index >= 0) {
+        workouts[index] = workout;
+    } else {
+        workouts.push(workout);
+    }
+
+    saveWorkouts(workouts);
+    hideWorkoutEditor();
+    updateWorkoutsUI();
+}
+
+/**
+ * Move a workout up (-1) or down (+1) in the list
+ */
+function moveWorkout(id, offset) {
+    const workouts = loadWorkouts();
+    const from = workouts.findIndex(w => w.id === id);
+    const to = from + offset;
+    if (from < 0 || to < 0 || to >= workouts.length) return;
+
+    [workouts[from], workouts[to]] = [workouts[to], workouts[from]];
+    saveWorkouts(workouts);
+    updateWorkoutsUI();
+}
+
+/**
+ * Delete a workout after confirming
+ */
+function deleteWorkout(id) {
+    const workout = loadWorkouts().find(w => w.id === id);
+    if (workout && confirm(`Delete the workout "${workout.name}"?`)) {
+        saveWorkouts(loadWorkouts().filter(w => w.id !== id));
+        updateWorkoutsUI();
+    }
+}
+
+// ============================================
+// Profiles
+// ============================================
+
+// Profile being edited in the modal (null = new profile)
+let editingProfileId = null;
+
+/**
+ * Namespace a storage key or database name for a profile (the active one by default)
+ */
+function profileKey(key, profileId = state.profileId) {
+    return profileId === DEFAULT_PROFILE.id ? key : `${key}:${profileId}`;
+}
+
+/**
+ * Get the profile whose data is loaded
+ */
+function getActiveProfile() {
+    const profiles = loadProfiles();
+    return profiles.find(p => p.id === state.profileId) || profiles[0];
+}
+
+/**
+ * Load a profile's history, settings and presets and make it the active profile
+ */
+async function loadProfile(id) {
+    if (store.db) {
+        store.db.close();
+    }
+
+    state.profileId = id;
+    localStorage.setItem(PROFILE_KEYS.ACTIVE, id);
+
+    // Load history from IndexedDB before anything reads it
+    await initStorage();
+
+    // Load saved settings
+    state.settings = loadSettings();
+    state.adaptiveLevels = loadAdaptiveLevels();
+    state.mixedConfig = loadMixedConfig();
+    updateSettingsUI();
+    updateMixedConfigUI();
+    updateWorkoutsUI();
+    updateProfilesUI();
+}
+
+/**
+ * Switch to another profile from the home screen switcher
+ */
+async function switchProfile(id) {
+    hideProfileModal();
+    if (id === state.profileId) return;
+
+    await loadProfile(id);
+    showScreen('home');
+}
+
+/**
+ * Avatar badge in the profile's colour
+ */
+function renderProfileAvatar(profile) {
+    return `<span class="profile-avatar" style="background: ${escapeHtml(profile.color)}">${escapeHtml(profile.avatar)}</span>`;
 }
 
 /**
- * Go back to home screen
+ * Render the home screen switcher, its profile list and the list in Settings
  */
-function goHome() {
-    if (state.session.active) {
-        if (!confirm('End current session?')) {
-            return;
-        }
-        endSession();
-        return;
-    }
-    showScreen('home');
+function updateProfilesUI() {
+    const profiles = loadProfiles();
+    const active = getActiveProfile();
+
+    elements.profileSwitcher.innerHTML = renderProfileAvatar(active);
+    elements.profileSwitcher.title = `${active.name} (switch profile)`;
+
+    elements.profileList.innerHTML = profiles.map(profile => `
+        <button class="mode-btn tool-btn profile-btn${profile.id === active.id ? ' active' : ''}" data-profile="${profile.id}">
+            ${renderProfileAvatar(profile)}
+            <span class="workout-name">${escapeHtml(profile.name)}</span>
+        </button>
+    `).join('');
+
+    elements.profileManageList.innerHTML = profiles.map(profile => `
+        <div class="workout-row" data-profile="${profile.id}">
+            ${renderProfileAvatar(profile)}
+            <div class="workout-row-info">
+                <span class="workout-name">${escapeHtml(profile.name)}</span>
+                <span class="workout-desc">${profile.id === active.id ? 'Active' : ''}</span>
+            </div>
+            <button class="setting-btn" data-action="edit" title="Edit">✎</button>
+            <button class="setting-btn" data-action="delete" title="Delete" ${profiles.length === 1 ? 'disabled' : ''}>✕</button>
+        </div>
+    `).join('');
 }
 
-// ============================================
-// Power Table Functions
-// ============================================
-
-let powerTableInitialized = false;
+function showProfileModal() {
+    elements.profileModal.style.display = 'flex';
+}
 
-function renderPowerTable() {
-    if (powerTableInitialized) return;
+function hideProfileModal() {
+    elements.profileModal.style.display = 'none';
+}
 
-    const MAX_BASE = 20;
-    const MAX_POWER = 20;
+/**
+ * Open the profile editor, for a new profile or an existing one
+ */
+function openProfileEditor(id = null) {
+    const profiles = loadProfiles();
+    const saved = profiles.find(p => p.id === id);
+    editingProfileId = saved ? id : null;
+
+    // New profiles get the next avatar and colour in line
+    const profile = saved || {
+        name: '',
+        avatar: PROFILE_AVATARS[profiles.length % PROFILE_AVATARS.length],
+        color: PROFILE_COLORS[profiles.length % PROFILE_COLORS.length]
+    };
 
-    // Clear existing content if any (safeguard)
-    // elements.powerHeaderRow.innerHTML = '<th>x \\ n</th>'; // Keep the first th
-    // elements.powerTableBody.innerHTML = '';
+    document.getElementById('profile-editor-title').textContent = saved ? 'Edit Profile' : 'New Profile';
+    document.getElementById('profile-name').value = profile.name;
+    document.getElementById('profile-avatar').innerHTML = PROFILE_AVATARS
+        .map(avatar => `<option value="${avatar}">${avatar}</option>`)
+        .join('');
+    document.getElementById('profile-avatar').value = profile.avatar;
+    document.getElementById('profile-color').value = profile.color;
+
+    hideProfileModal();
+    elements.profileEditorModal.style.display = 'flex';
+    document.getElementById('profile-name').focus();
+}
 
-    // 1. Create Headers (Exponent n)
-    // First confirm we only have the first child
-    while (elements.powerHeaderRow.children.length > 1) {
-        elements.powerHeaderRow.removeChild(elements.powerHeaderRow.lastChild);
-    }
+function hideProfileEditor() {
+    elements.profileEditorModal.style.display = 'none';
+    editingProfileId = null;
+}
 
-    for (let n = 1; n <= MAX_POWER; n++) {
-        const th = document.createElement('th');
-        th.innerHTML = `x<sup class="math-sup">${n}</sup>`;
-        th.title = `Exponent ${n}`;
-        elements.powerHeaderRow.appendChild(th);
+/**
+ * Save the profile in the editor. New profiles start empty and become active.
+ */
+async function saveProfileFromEditor() {
+    const name = document.getElementById('profile-name').value.trim();
+    if (!name) {
+        alert('Give the profile a name.');
+        return;
     }
 
-    // 2. Create Rows (Base x)
-    elements.powerTableBody.innerHTML = '';
-    for (let x = 1; x <= MAX_BASE; x++) {
-        const tr = document.createElement('tr');
-
-        // First column: Sticky Base Number Header
-        const thRow = document.createElement('th');
-        thRow.textContent = x;
-        thRow.title = `Base ${x}`;
-        tr.appendChild(thRow);
-
-        // Data Cells
-        for (let n = 1; n <= MAX_POWER; n++) {
-            const td = document.createElement('td');
-
-            // Calculation using BigInt for accuracy with large numbers
-            const val = BigInt(x) ** BigInt(n);
+    const profiles = loadProfiles();
+    const profile = {
+        id: editingProfileId || `profile-${Date.now()}`,
+        name,
+        avatar: document.getElementById('profile-avatar').value,
+        color: document.getElementById('profile-color').value
+    };
 
-            // Formatting with commas
-            td.textContent = val.toLocaleString('en-US');
+    const index = profiles.findIndex(p => p.id === profile.id);
+    if (index >= 0) {
+        profiles[index] = profile;
+    } else {
+        profiles.push(profile);
+    }
 
-            // Tooltip
-            td.title = `${x}^${n} = ${val.toLocaleString('en-US')}`;
+    saveProfiles(profiles);
+    hideProfileEditor();
 
-            tr.appendChild(td);
-        }
-        elements.powerTableBody.appendChild(tr);
+    if (index >= 0) {
+        updateProfilesUI();
+    } else {
+        await loadProfile(profile.id);
+        showScreen(state.currentScreen);
     }
-
-    powerTableInitialized = true;
 }
 
-// Multiplication Table Function
-let multiTableInitialized = false;
+/**
+ * Delete a profile and all of its data. The last profile can only be cleared.
+ */
+async function deleteProfile(id) {
+    const profiles = loadProfiles();
+    const profile = profiles.find(p => p.id === id);
+    if (!profile || profiles.length === 1) return;
 
-function renderMultiplicationTable() {
-    if (multiTableInitialized) return;
+    if (!confirm(`Delete the profile "${profile.name}" and all of its progress? This cannot be undone!`)) {
+        return;
+    }
 
-    const MAX_NUM = 40;
-    const headerRow = document.getElementById('multi-header-row');
-    const tableBody = document.getElementById('multi-table-body');
+    const remaining = profiles.filter(p => p.id !== id);
+    saveProfiles(remaining);
 
-    // 1. Generate Header Row (Top)
-    // Clear check
-    while (headerRow.children.length > 1) {
-        headerRow.removeChild(headerRow.lastChild);
+    // The profile's database has to be closed before it can be deleted
+    if (id === state.profileId) {
+        await loadProfile(remaining[0].id);
     }
 
-    for (let i = 1; i <= MAX_NUM; i++) {
-        const th = document.createElement('th');
-        th.textContent = i;
-        headerRow.appendChild(th);
+    Object.values(STORAGE_KEYS).forEach(key => {
+        localStorage.removeItem(profileKey(key, id));
+    });
+    if (typeof indexedDB !== 'undefined') {
+        indexedDB.deleteDatabase(profileKey(DB_NAME, id));
     }
 
-    // 2. Generate Data Rows
-    tableBody.innerHTML = '';
-    for (let r = 1; r <= MAX_NUM; r++) {
-        const tr = document.createElement('tr');
+    updateProfilesUI();
+}
 
-        // Row Header (Left)
-        const thRow = document.createElement('th');
-        thRow.textContent = r;
-        tr.appendChild(thRow);
+// ============================================
+// Offline Support (Service Worker)
+// ============================================
 
-        // Cells
-        for (let c = 1; c <= MAX_NUM; c++) {
-            const td = document.createElement('td');
-            const value = r * c;
-            td.textContent = value.toLocaleString();
-            td.title = `${r} x ${c} = ${value}`;
-            tr.appendChild(td);
+// Worker waiting to take over once the user accepts the update
+let waitingWorker = null;
+
+/**
+ * Register the service worker and watch for new versions
+ */
+function registerServiceWorker() {
+    // Service workers need http(s); opening index.html from disk still works without one
+    if (!('serviceWorker' in navigator) || location.protocol === 'file:') return;
+
+    navigator.serviceWorker.register('sw.js')
+        .then(registration => {
+            if (registration.waiting && navigator.serviceWorker.controller) {
+                showUpdateBanner(registration.waiting);
+            }
+
+            registration.addEventListener('updatefound', () => {
+                const worker = registration.installing;
+                worker.addEventListener('statechange', () => {
+                    // A controller means this is an update, not the first install
+                    if (worker.state === 'installed' && navigator.serviceWorker.controller) {
+                        showUpdateBanner(worker);
+                    }
+                });
+            });
+        })
+        .catch(err => console.warn('Service worker registration failed:', err));
+
+    // Reload only when the user asked for the new version
+    navigator.serviceWorker.addEventListener('controllerchange', () => {
+        if (waitingWorker) {
+            waitingWorker = null;
+            location.reload();
         }
+    });
+}
 
-        tableBody.appendChild(tr);
+/**
+ * Offer to reload into a newly installed version
+ */
+function showUpdateBanner(worker) {
+    waitingWorker = worker;
+    elements.updateBanner.style.display = 'flex';
+}
+
+/**
+ * Switch to the waiting version; the page reloads once it takes control
+ */
+function applyUpdate() {
+    if (state.session.active && !confirm('Reloading ends the current session. Reload now?')) {
+        return;
     }
 
-    multiTableInitialized = true;
+    elements.updateBanner.style.display = 'none';
+    if (waitingWorker) {
+        waitingWorker.postMessage({ type: 'SKIP_WAITING' });
+    }
 }
 
 // ============================================
-// Settings UI
+// Keyboard Shortcuts & Keypad
 // ============================================
 
 /**
- * Update settings UI from state
+ * Check whether the on-screen keypad should replace the native keyboard
  */
-function updateSettingsUI() {
-    elements.digitRange.value = state.settings.digitRange;
-    elements.chainLength.value = state.settings.chainLength;
-    elements.targetTime.value = state.settings.targetTime;
-    elements.targetTime.value = state.settings.targetTime;
-    elements.targetStreak.value = state.settings.targetStreak;
-
-    // Apply theme
-    if (state.settings.darkMode) {
-        document.body.classList.add('dark-mode');
-        document.querySelector('.theme-toggle .icon').textContent = '☀️';
-    } else {
-        document.body.classList.remove('dark-mode');
-        document.querySelector('.theme-toggle .icon').textContent = '🌙';
+function isKeypadEnabled() {
+    if (state.settings.keypad === 'auto') {
+        return typeof window.matchMedia === 'function' && window.matchMedia('(pointer: coarse)').matches;
     }
+    return state.settings.keypad === 'on';
 }
 
 /**
- * Handle settings change
+ * Show or hide the keypad to match the setting
  */
-function handleSettingChange(event) {
-    const { id, value } = event.target;
-
-    switch (id) {
-        case 'digit-range':
-            state.settings.digitRange = parseInt(value);
-            break;
-        case 'chain-length':
-            state.settings.chainLength = parseInt(value);
-            break;
-        case 'target-time':
-            state.settings.targetTime = parseInt(value);
-            break;
-        case 'target-streak':
-        case 'target-streak':
-            state.settings.targetStreak = parseInt(value);
-            break;
-    }
+function updateKeypad() {
+    elements.keypad.style.display = isKeypadEnabled() ? 'grid' : 'none';
+}
 
-    saveSettings();
+/**
+ * Set the answer input's virtual keyboard, unless the keypad replaces it
+ */
+function setAnswerInputMode(inputMode) {
+    elements.answerInput.inputMode = isKeypadEnabled() ? 'none' : inputMode;
 }
 
 /**
- * Toggle Dark Mode
+ * Type a key into the answer, as if on a keyboard: a character, Backspace or Enter
  */
-function toggleTheme() {
-    state.settings.darkMode = !state.settings.darkMode;
+function pressKey(key) {
+    const input = elements.answerInput;
+    if (input.disabled) return;
 
-    if (state.settings.darkMode) {
-        document.body.classList.add('dark-mode');
-        document.querySelector('.theme-toggle .icon').textContent = '☀️';
-    } else {
-        document.body.classList.remove('dark-mode');
-        document.querySelector('.theme-toggle .icon').textContent = '🌙';
+    if (key === 'Enter') {
+        submitAnswer();
+        return;
     }
 
-    saveSettings();
+    input.value = key === 'Backspace' ? input.value.slice(0, -1) : input.value + key;
+    input.dispatchEvent(new Event('input'));
+    input.focus();
 }
 
-// ============================================
-// Mixed Config Modal
-// ============================================
-
-function showMixedModal() {
-    const modal = document.getElementById('mixed-config-modal');
-    modal.style.display = 'flex';
+function showShortcutsHelp() {
+    elements.shortcutsModal.style.display = 'flex';
 }
 
-function hideMixedModal() {
-    const modal = document.getElementById('mixed-config-modal');
-    modal.style.display = 'none';
+function hideShortcutsHelp() {
+    elements.shortcutsModal.style.display = 'none';
 }
 
-function readMixedConfig() {
-    state.mixedConfig.exponent = parseInt(document.getElementById('mixed-exponent').value);
-    state.mixedConfig.multiplication = parseInt(document.getElementById('mixed-multiplication').value);
-    state.mixedConfig.addition = parseInt(document.getElementById('mixed-addition').value);
-    state.mixedConfig.subtraction = parseInt(document.getElementById('mixed-subtraction').value);
-    state.mixedConfig.division = parseInt(document.getElementById('mixed-division').value);
+/**
+ * App-wide keyboard shortcuts. Keys typed into other form fields are left alone,
+ * and an open modal only listens for Esc.
+ */
+function handleShortcut(e) {
+    if (e.ctrlKey || e.metaKey || e.altKey) return;
+
+    const modalClosers = {
+        'mixed-config-modal': hideMixedModal,
+        'workout-modal': hideWorkoutEditor,
+        'profile-modal': hideProfileModal,
+        'profile-editor-modal': hideProfileEditor,
+        'shortcuts-modal': hideShortcutsHelp
+    };
+    const modal = Object.keys(modalClosers).find(id => document.getElementById(id).style.display !== 'none');
+    if (modal) {
+        if (e.key === 'Escape') modalClosers[modal]();
+        return;
+    }
+
+    const inAnswer = e.target === elements.answerInput;
+    if (!inAnswer && e.target.closest && e.target.closest('input, select, textarea')) return;
+
+    if (e.key === '?') {
+        e.preventDefault();
+        showShortcutsHelp();
+        return;
+    }
+
+    const key = e.key.toLowerCase();
+
+    switch (state.currentScreen) {
+        case 'practice':
+            if (key === 'p') {
+                e.preventDefault();
+                togglePause();
+            } else if (key === 'escape') {
+                goHome();
+            } else if (state.session.paused) {
+                return; // Nothing else reaches a hidden problem
+            } else if (key === 'tab') {
+                e.preventDefault();
+                skipProblem();
+            } else if (!inAnswer && /^[0-9.\/%-]$/.test(key)) {
+                // Typing while the input isn't focused still answers
+                e.preventDefault();
+                pressKey(key);
+            } else if (e.target === document.body && (key === 'enter' || key === 'backspace')) {
+                e.preventDefault();
+                pressKey(e.key);
+            }
+            break;
+
+        case 'home':
+            if (HOME_SHORTCUTS[key]) {
+                document.querySelector(`.mode-btn[data-mode="${HOME_SHORTCUTS[key]}"]`).click();
+            } else if (key === 'd') {
+                startDailyChallenge();
+            } else if (key === 'a') {
+                showScreen('analytics');
+            } else if (key === 'h') {
+                showScreen('history');
+            } else if (key === 's') {
+                showScreen('settings');
+            } else if (key === 't') {
+                showScreen('trophies');
+            }
+            break;
+
+        case 'complete':
+            if (key === 'r') {
+                document.getElementById('try-again-btn').click();
+            } else if (key === 'h' || key === 'escape') {
+                showScreen('home');
+            }
+            break;
+
+        default:
+            if (key === 'escape') showScreen('home');
+    }
 }
 
 // ============================================
@@ -1310,27 +4750,32 @@ function initEventListeners() {
         });
     });
 
+    // Session format selection
+    elements.formatButtons.forEach(btn => {
+        btn.addEventListener('click', () => {
+            elements.formatButtons.forEach(b => b.classList.remove('active'));
+            btn.classList.add('active');
+            state.sessionFormat = btn.dataset.format;
+        });
+    });
+
     // Navigation buttons
     document.getElementById('view-analytics-btn').addEventListener('click', () => showScreen('analytics'));
     document.getElementById('view-history-btn').addEventListener('click', () => showScreen('history'));
     document.getElementById('view-settings-btn').addEventListener('click', () => showScreen('settings'));
 
     // Power Table button
-    document.getElementById('power-table-btn').addEventListener('click', () => {
-        renderPowerTable();
-        showScreen('power');
-    });
+    document.getElementById('power-table-btn').addEventListener('click', () => showScreen('power'));
 
     // Multiplication Table button
-    document.getElementById('multiplication-table-btn').addEventListener('click', () => {
-        renderMultiplicationTable();
-        showScreen('multiplication');
-    });
+    document.getElementById('multiplication-table-btn').addEventListener('click', () => showScreen('multiplication'));
 
     // Back buttons
     document.getElementById('back-to-home').addEventListener('click', goHome);
     document.getElementById('analytics-back').addEventListener('click', () => showScreen('home'));
     document.getElementById('history-back').addEventListener('click', () => showScreen('home'));
+    document.getElementById('view-trophies-btn').addEventListener('click', () => showScreen('trophies'));
+    document.getElementById('trophies-back').addEventListener('click', () => showScreen('home'));
     document.getElementById('settings-back').addEventListener('click', () => showScreen('home'));
     document.getElementById('power-back').addEventListener('click', () => showScreen('home'));
     document.getElementById('multiplication-back').addEventListener('click', () => showScreen('home'));
@@ -1338,6 +4783,23 @@ function initEventListeners() {
     // Practice controls
     document.getElementById('submit-btn').addEventListener('click', submitAnswer);
     document.getElementById('skip-btn').addEventListener('click', skipProblem);
+    document.getElementById('pause-btn').addEventListener('click', pauseSession);
+    elements.resumeBtn.addEventListener('click', resumeSession);
+
+    // Leaving the tab or window pauses, so the clock never runs unseen
+    document.addEventListener('visibilitychange', () => {
+        if (document.hidden) pauseSession();
+    });
+    window.addEventListener('blur', pauseSession);
+    elements.keypad.addEventListener('click', (e) => {
+        const key = e.target.closest('[data-key]');
+        if (key) pressKey(key.dataset.key);
+    });
+
+    // Keyboard shortcuts and their help overlay
+    document.addEventListener('keydown', handleShortcut);
+    document.getElementById('shortcuts-btn').addEventListener('click', showShortcutsHelp);
+    document.getElementById('shortcuts-close-btn').addEventListener('click', hideShortcutsHelp);
 
     // Answer input - submit on Enter
     // Answer input - submit on Enter or Auto-Submit
@@ -1350,21 +4812,100 @@ function initEventListeners() {
 
     elements.answerInput.addEventListener('input', (e) => {
         // Mandatory Auto-Submit
-        const val = parseInt(e.target.value);
         // Check if current problem exists and value matches
-        if (state.session.currentProblem && val === state.session.currentProblem.answer) {
-            // Prevent double submission if user types fast
-            if (!state.session.submitting) {
-                submitAnswer();
+        // Only while the engine is waiting, so fast typing can't submit twice.
+        // A lone "-" or a trailing separator means the answer is still being typed.
+        const value = e.target.value.trim();
+        if (state.session.awaitingAnswer && /[\d%]$/.test(value) && checkAnswer(value, state.session.currentProblem)) {
+            submitAnswer();
+        }
+    });
+
+    // Analytics: headline average filter and per-operation average details
+    elements.averagesOperation.addEventListener('change', updateAnalytics);
+    elements.operationStats.addEventListener('click', (e) => {
+        const cell = e.target.closest('.aon-cell');
+        if (cell) {
+            showAverageDetail(cell.closest('.operation-block'), cell.dataset.metric);
+        }
+    });
+
+    // Progress chart controls
+    elements.chartTabs.forEach(tab => {
+        tab.addEventListener('click', () => {
+            state.chart.metric = tab.dataset.metric;
+            updateProgressChart();
+        });
+    });
+    elements.chartOperation.addEventListener('change', () => updateProgressChart());
+    elements.chartRange.addEventListener('change', () => updateProgressChart());
+    elements.chartArea.addEventListener('pointermove', handleChartHover);
+    elements.chartArea.addEventListener('pointerleave', hideChartTooltip);
+
+    // Multiplication Table heatmap overlay and drills
+    elements.heatmapMode.addEventListener('change', applyMultiplicationHeatmap);
+    elements.multiplicationTable.addEventListener('click', handleMultiplicationTableClick);
+
+    // Daily Challenge
+    elements.dailyChallengeBtn.addEventListener('click', startDailyChallenge);
+
+    // Replay a past session from its seed, or expand its per-problem review
+    elements.sessionsList.addEventListener('click', (e) => {
+        const btn = e.target.closest('[data-replay]');
+        if (btn) {
+            replaySession(parseInt(btn.dataset.replay));
+        }
+
+        const reviewBtn = e.target.closest('[data-review]');
+        if (reviewBtn) {
+            const panel = reviewBtn.closest('.history-item').querySelector('.session-review');
+            if (panel.style.display === 'none') {
+                const session = loadSessions().find(s => s.timestamp === parseInt(reviewBtn.dataset.review));
+                panel.innerHTML = renderSessionReview(session);
+                panel.style.display = 'block';
+            } else {
+                panel.style.display = 'none';
             }
         }
+
+        handleRetryClick(e);
+    });
+
+    // Show how to solve a past wrong answer
+    elements.wrongList.addEventListener('click', (e) => {
+        const btn = e.target.closest('[data-explain]');
+        if (!btn) return;
+
+        const panel = btn.parentElement.querySelector('.explanation-panel');
+        if (panel.style.display === 'none') {
+            const wrong = loadWrongAnswers().find(w => w.timestamp === parseInt(btn.dataset.explain));
+            panel.innerHTML = renderExplanation(explainWrongAnswer(wrong));
+            panel.style.display = 'block';
+        } else {
+            panel.style.display = 'none';
+        }
     });
 
+    // Explanation panel after a miss
+    elements.explanationContinue.addEventListener('click', dismissExplanation);
+
     // Complete screen buttons
+    // Seeded sessions (daily, replays) retry the same problems; others get a fresh seed
     document.getElementById('try-again-btn').addEventListener('click', () => {
-        startSession(state.currentMode);
+        startSession(state.currentMode, getTryAgainOptions(state.session));
     });
     document.getElementById('go-home-btn').addEventListener('click', () => showScreen('home'));
+    document.getElementById('share-link-btn').addEventListener('click', copySessionLink);
+    elements.completeReviewBtn.addEventListener('click', () => {
+        const hidden = elements.completeReview.style.display === 'none';
+        elements.completeReview.style.display = hidden ? 'block' : 'none';
+        elements.completeReviewBtn.textContent = hidden ? '📋 Hide Review' : '📋 Review Problems';
+    });
+    elements.completeReview.addEventListener('click', handleRetryClick);
+
+    // Browser Back / Forward and edited or pasted links
+    window.addEventListener('popstate', handleRoute);
+    window.addEventListener('hashchange', handleRoute);
 
     // History tabs
     document.querySelectorAll('.history-tabs .tab-btn').forEach(btn => {
@@ -1383,17 +4924,104 @@ function initEventListeners() {
     elements.targetTime.addEventListener('change', handleSettingChange);
     elements.targetTime.addEventListener('change', handleSettingChange);
     elements.targetStreak.addEventListener('change', handleSettingChange);
+    elements.sessionLength.addEventListener('change', handleSettingChange);
+    elements.dailyGoalType.addEventListener('change', handleSettingChange);
+    elements.dailyGoalTarget.addEventListener('change', handleSettingChange);
+    elements.streakFreezes.addEventListener('change', handleSettingChange);
+    elements.adaptiveDifficulty.addEventListener('change', handleSettingChange);
+    elements.explainMistakes.addEventListener('change', handleSettingChange);
+    elements.allowNegative.addEventListener('change', handleSettingChange);
+    elements.keypadSetting.addEventListener('change', handleSettingChange);
+    elements.adaptiveTarget.addEventListener('change', handleSettingChange);
+    elements.chainPreset.addEventListener('change', handleSettingChange);
+    elements.chainInterval.addEventListener('change', handleSettingChange);
+    elements.chainDigits.addEventListener('change', handleSettingChange);
+    elements.chainSigns.addEventListener('change', handleSettingChange);
+    elements.chainAllowNegative.addEventListener('change', handleSettingChange);
+    elements.chainGap.addEventListener('change', handleSettingChange);
+    elements.chainAudio.addEventListener('change', handleSettingChange);
+    elements.chainVoice.addEventListener('change', handleSettingChange);
+    elements.chainSpeechRate.addEventListener('change', handleSettingChange);
+    elements.chainSpeechLang.addEventListener('change', handleSettingChange);
+    elements.chainHideDisplay.addEventListener('change', handleSettingChange);
+
+    // Voices load asynchronously in most browsers
+    if (browserSpeech.isAvailable()) {
+        window.speechSynthesis.addEventListener('voiceschanged', updateVoiceOptions);
+    }
+    document.getElementById('chain-save-preset').addEventListener('click', saveCurrentChainPreset);
+    document.getElementById('chain-delete-preset').addEventListener('click', deleteChainPreset);
 
     // Theme toggle
     document.getElementById('theme-toggle').addEventListener('click', toggleTheme);
 
+    // Profiles: switch from the home screen, manage in Settings
+    elements.profileSwitcher.addEventListener('click', showProfileModal);
+    elements.profileList.addEventListener('click', (e) => {
+        const btn = e.target.closest('[data-profile]');
+        if (btn) switchProfile(btn.dataset.profile);
+    });
+    elements.profileManageList.addEventListener('click', (e) => {
+        const btn = e.target.closest('button[data-action]');
+        if (!btn) return;
+
+        const id = btn.closest('[data-profile]').dataset.profile;
+        if (btn.dataset.action === 'edit') openProfileEditor(id);
+        if (btn.dataset.action === 'delete') deleteProfile(id);
+    });
+    document.getElementById('new-profile-btn').addEventListener('click', () => openProfileEditor());
+    document.getElementById('settings-new-profile-btn').addEventListener('click', () => openProfileEditor());
+    document.getElementById('profile-close-btn').addEventListener('click', hideProfileModal);
+    document.getElementById('profile-cancel-btn').addEventListener('click', hideProfileEditor);
+    document.getElementById('profile-save-btn').addEventListener('click', saveProfileFromEditor);
+
     // Clear data button
-    document.getElementById('clear-all-data').addEventListener('click', clearAllData);
+    document.getElementById('clear-profile-data').addEventListener('click', clearProfileData);
+
+    // Export / import
+    document.getElementById('export-json-btn').addEventListener('click', exportJson);
+    document.getElementById('export-csv-btn').addEventListener('click', exportCsv);
+    document.getElementById('import-json-btn').addEventListener('click', () => elements.importFile.click());
+    elements.importFile.addEventListener('change', () => {
+        if (elements.importFile.files.length > 0) {
+            importJson(elements.importFile.files[0]);
+        }
+        elements.importFile.value = '';
+    });
 
     // Mixed config modal buttons
+    // New version banner
+    document.getElementById('update-reload-btn').addEventListener('click', applyUpdate);
+    document.getElementById('update-dismiss-btn').addEventListener('click', () => {
+        elements.updateBanner.style.display = 'none';
+    });
+
+    // Workouts: one-click start on home, manage in Settings
+    elements.workoutList.addEventListener('click', (e) => {
+        const btn = e.target.closest('[data-workout]');
+        if (btn) startWorkout(btn.dataset.workout);
+    });
+    elements.workoutManageList.addEventListener('click', (e) => {
+        const btn = e.target.closest('[data-action]');
+        if (!btn) return;
+
+        const id = btn.closest('[data-workout]').dataset.workout;
+        if (btn.dataset.action === 'up') moveWorkout(id, -1);
+        if (btn.dataset.action === 'down') moveWorkout(id, 1);
+        if (btn.dataset.action === 'edit') openWorkoutEditor(id);
+        if (btn.dataset.action === 'delete') deleteWorkout(id);
+    });
+    document.getElementById('new-workout-btn').addEventListener('click', () => openWorkoutEditor());
+    document.getElementById('settings-new-workout-btn').addEventListener('click', () => openWorkoutEditor());
+    document.getElementById('workout-mode').addEventListener('change', updateWorkoutEditorFields);
+    document.getElementById('workout-format').addEventListener('change', updateWorkoutEditorFields);
+    document.getElementById('workout-cancel-btn').addEventListener('click', hideWorkoutEditor);
+    document.getElementById('workout-save-btn').addEventListener('click', saveWorkoutFromEditor);
+
     document.getElementById('mixed-cancel-btn').addEventListener('click', hideMixedModal);
     document.getElementById('mixed-start-btn').addEventListener('click', () => {
         readMixedConfig();
+        saveMixedConfig();
         hideMixedModal();
         startSession('mixed');
     });
@@ -1403,16 +5031,28 @@ function initEventListeners() {
 // Initialization
 // ============================================
 
-function init() {
-    // Load saved settings
-    state.settings = loadSettings();
-    updateSettingsUI();
+async function init() {
+    // Load the last used profile's history and settings
+    const profiles = loadProfiles();
+    const lastProfileId = localStorage.getItem(PROFILE_KEYS.ACTIVE);
+    await loadProfile(profiles.some(p => p.id === lastProfileId) ? lastProfileId : profiles[0].id);
 
     // Initialize event listeners
     initEventListeners();
+    initEngineEvents();
 
-    // Show home screen
-    showScreen('home');
+    // Offline support and update prompts
+    registerServiceWorker();
+
+    // Deep links get a home entry underneath, so Back stays in the app
+    if (parseRoute(location.hash).screen !== 'home') {
+        const link = location.hash;
+        history.replaceState(null, '', '#/');
+        history.pushState({ back: '#/' }, '', link);
+    }
+
+    // Open the screen or drill in the URL (home by default)
+    handleRoute();
 
     console.log('Mental Math Trainer initialized!');
 }
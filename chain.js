@@ -0,0 +1,201 @@
+/**
+ * Mental Math Trainer - Chain Playback
+ * Flash Anzan playback: the audio adapter interface, the browser speech and beep
+ * adapters, and the loop that flashes (and speaks) a chain's numbers. No DOM access;
+ * the caller draws each step. The browser loads it before app.js; Node can require() it.
+ */
+
+// ============================================
+// Constants & Configuration
+// ============================================
+
+// Share of the flash interval left blank between chain numbers
+const CHAIN_GAP_RATIO = 0.25;
+
+// Beep fallback tones for listening anzan (Hz) and beep length (ms)
+const BEEP_TONES = { '+': 880, '-': 440 };
+const BEEP_DURATION = 150;
+
+// Longest we wait for a spoken number before moving on (ms)
+const SPEECH_TIMEOUT = 4000;
+
+// Real timers; tests pass a fake clock instead
+const CHAIN_CLOCK = {
+    setTimeout: (fn, ms) => setTimeout(fn, ms)
+};
+
+// ============================================
+// Audio Adapters
+// ============================================
+
+/**
+ * Speech adapter backed by the Web Speech API.
+ * Adapters expose isAvailable(), getVoices(), speak(text, options) -> Promise and cancel().
+ */
+const browserSpeech = {
+    isAvailable() {
+        return typeof speechSynthesis !== 'undefined' && typeof SpeechSynthesisUtterance !== 'undefined';
+    },
+
+    getVoices() {
+        return this.isAvailable() ? speechSynthesis.getVoices() : [];
+    },
+
+    speak(text, { voice, rate = 1, lang = 'en-US' } = {}) {
+        return new Promise(resolve => {
+            const utterance = new SpeechSynthesisUtterance(text);
+            utterance.rate = rate;
+            utterance.lang = lang;
+            const match = this.getVoices().find(v => v.name === voice);
+            if (match) utterance.voice = match;
+
+            // Some browsers never fire 'end', so don't wait forever
+            const timeout = setTimeout(resolve, SPEECH_TIMEOUT);
+            const done = () => {
+                clearTimeout(timeout);
+                resolve();
+            };
+            utterance.onend = done;
+            utterance.onerror = done;
+            speechSynthesis.speak(utterance);
+        });
+    },
+
+    cancel() {
+        if (this.isAvailable()) speechSynthesis.cancel();
+    }
+};
+
+/**
+ * Beep fallback: a high tone for additions and a low tone for subtractions
+ */
+const beepAudio = {
+    context: null,
+
+    getContextClass() {
+        if (typeof AudioContext !== 'undefined') return AudioContext;
+        return typeof webkitAudioContext !== 'undefined' ? webkitAudioContext : undefined;
+    },
+
+    isAvailable() {
+        return typeof this.getContextClass() !== 'undefined';
+    },
+
+    getVoices() {
+        return [];
+    },
+
+    speak(text) {
+        if (!this.context) {
+            const Context = this.getContextClass();
+            this.context = new Context();
+        }
+
+        const oscillator = this.context.createOscillator();
+        const gain = this.context.createGain();
+        oscillator.frequency.value = text.startsWith('-') ? BEEP_TONES['-'] : BEEP_TONES['+'];
+        gain.gain.value = 0.2;
+        oscillator.connect(gain).connect(this.context.destination);
+        oscillator.start();
+        oscillator.stop(this.context.currentTime + BEEP_DURATION / 1000);
+
+        return new Promise(resolve => setTimeout(resolve, BEEP_DURATION));
+    },
+
+    cancel() {}
+};
+
+/**
+ * Pick the audio output for chain numbers: 'off', 'beep' or 'speech', where speech
+ * falls back to beeps when the speech adapter isn't available.
+ * Returns { adapter, options }, or null when audio is off or nothing can play.
+ */
+function pickChainAudio(mode, speech, beep, speechOptions = {}) {
+    if (mode === 'off') return null;
+
+    if (mode === 'speech' && speech.isAvailable()) {
+        return { adapter: speech, options: speechOptions };
+    }
+
+    return beep.isAvailable() ? { adapter: beep, options: {} } : null;
+}
+
+// ============================================
+// Playback
+// ============================================
+
+/**
+ * What is spoken for a chain number: the first as is, the rest with their sign
+ */
+function getSpokenText(item, index) {
+    return index === 0 ? String(item.value) : `${item.operation}${item.value}`;
+}
+
+/**
+ * Play a chain's numbers one by one. Each number stays up for `interval` ms, and
+ * with audio the next waits for the spoken one to finish too. The display is
+ * blanked briefly before a repeated number, or before every number with `gap`.
+ *
+ * Callbacks: onNumber(item, index), onBlank(index), onDone().
+ * Returns { stop() }; a stopped playback never calls back again.
+ */
+function playChain(numbers, { interval, gap = false, audio = null, clock = CHAIN_CLOCK, onNumber, onBlank, onDone }) {
+    const gapTime = Math.round(interval * CHAIN_GAP_RATIO);
+    let stopped = false;
+
+    function showNumber(index) {
+        if (stopped) return;
+
+        if (index >= numbers.length) {
+            onDone();
+            return;
+        }
+
+        const item = numbers[index];
+        onNumber(item, index);
+
+        // Blank the display briefly before the next number so repeats stay visible
+        const next = numbers[index + 1];
+        const repeated = next && next.value === item.value && next.operation === item.operation;
+
+        if (next && (gap || repeated)) {
+            clock.setTimeout(() => {
+                if (!stopped) onBlank(index);
+            }, interval - gapTime);
+        }
+
+        if (!audio) {
+            clock.setTimeout(() => showNumber(index + 1), interval);
+            return;
+        }
+
+        // Wait for both the flash interval and the spoken number
+        Promise.all([
+            audio.adapter.speak(getSpokenText(item, index), audio.options),
+            new Promise(resolve => clock.setTimeout(resolve, interval))
+        ]).then(() => showNumber(index + 1));
+    }
+
+    showNumber(0);
+
+    return {
+        stop() {
+            stopped = true;
+        }
+    };
+}
+
+// Node (tests): export the adapters and playback loop
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        CHAIN_GAP_RATIO,
+        BEEP_TONES,
+        BEEP_DURATION,
+        SPEECH_TIMEOUT,
+        browserSpeech,
+        beepAudio,
+        pickChainAudio,
+        getSpokenText,
+        playChain
+    };
+}
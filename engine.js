@@ -0,0 +1,1321 @@
+/**
+ * Mental Math Trainer - Trainer Engine
+ * Problem generation, answer checking, solution explanations, timing, scoring and session flow,
+ * with no DOM access. The browser loads it before app.js; Node can require() it.
+ */
+
+// ============================================
+// Constants & Configuration
+// ============================================
+
+// Largest operand by digit range setting
+const DIGIT_RANGE_MAX = { 1: 9, 2: 99, 3: 999 };
+
+// Length of a blitz session in seconds
+const BLITZ_DURATION = 60;
+
+// Mixed mode difficulty levels: maps level -> max number
+const MIXED_DIFFICULTIES = {
+    0: 0,    // Don't Train
+    1: 9,    // Warm Up
+    2: 50,   // Easy
+    3: 100,  // Medium
+    4: 250,  // Hard
+    5: 500   // Extra Hard
+};
+
+// Difficulty levels 1-5 for the non-integer families (index 0 = level 1).
+// The level follows the number range: Warm Up/1 digit = 1, 2 digits = 3, 3 digits = 5.
+const FAMILY_LEVELS = {
+    // "x% of y": percents in steps of `step`; `whole` keeps answers whole numbers
+    percentage: [
+        { step: 10, maxBase: 100, whole: true },
+        { step: 5, maxBase: 200, whole: true },
+        { step: 1, maxBase: 500, whole: true },
+        { step: 1, maxBase: 1000, whole: false },
+        { step: 1, maxBase: 5000, whole: false }
+    ],
+    // Proper fractions up to maxDen; answers are expected in lowest terms
+    fraction: [
+        { maxDen: 5, ops: ['+'], sameDen: true },
+        { maxDen: 6, ops: ['+', '×'], sameDen: false },
+        { maxDen: 10, ops: ['+', '×'], sameDen: false },
+        { maxDen: 12, ops: ['+', '×'], sameDen: false },
+        { maxDen: 15, ops: ['+', '×'], sameDen: false }
+    ],
+    // Operands below `max` with a fixed number of decimal places
+    decimal: [
+        { places: 1, max: 10, ops: ['+', '−'] },
+        { places: 1, max: 100, ops: ['+', '−', '×'] },
+        { places: 2, max: 10, ops: ['+', '−', '×'] },
+        { places: 2, max: 100, ops: ['+', '−', '×'] },
+        { places: 3, max: 100, ops: ['+', '−', '×'] }
+    ]
+};
+
+// Technique drills: generators that only produce operands suited to one mental trick.
+// Each drill is its own practice mode and stats bucket.
+const TECHNIQUE_DRILLS = {
+    noCarry: { symbol: '+', name: 'No-Carry Addition', generate: generateNoCarryProblem },
+    timesEleven: { symbol: '×', name: '× 11', generate: generateTimesElevenProblem },
+    endsInFive: { symbol: '^', name: 'Squares Ending in 5', generate: generateEndsInFiveProblem },
+    nearHundred: { symbol: '×', name: 'Near 100', generate: generateNearHundredProblem },
+    divideByFive: { symbol: '÷', name: '÷ 5 and ÷ 25', generate: generateDivideByFiveProblem }
+};
+
+// ============================================
+// Utility Functions
+// ============================================
+
+/**
+ * Hash a seed (string or number) into a 32-bit unsigned integer (FNV-1a)
+ */
+function hashSeed(seed) {
+    const text = String(seed);
+    let hash = 0x811c9dc5;
+
+    for (let i = 0; i < text.length; i++) {
+        hash ^= text.charCodeAt(i);
+        hash = Math.imul(hash, 0x01000193);
+    }
+
+    return hash >>> 0;
+}
+
+/**
+ * Create a seeded random number generator (mulberry32).
+ * Returns a function that yields floats in [0, 1), like Math.random.
+ */
+function createRng(seed) {
+    let t = hashSeed(seed);
+
+    return function () {
+        t = (t + 0x6D2B79F5) >>> 0;
+        let r = Math.imul(t ^ (t >>> 15), t | 1);
+        r ^= r + Math.imul(r ^ (r >>> 7), r | 61);
+        return ((r ^ (r >>> 14)) >>> 0) / 4294967296;
+    };
+}
+
+/**
+ * Create a fresh seed for a session
+ */
+function newSeed() {
+    return Math.floor(Math.random() * 4294967296).toString(36);
+}
+
+/**
+ * Generate a random integer between min and max (inclusive)
+ */
+function randomInt(min, max, rng = Math.random) {
+    return Math.floor(rng() * (max - min + 1)) + min;
+}
+
+/**
+ * Greatest common divisor
+ */
+function gcd(a, b) {
+    a = Math.abs(a);
+    b = Math.abs(b);
+    while (b) [a, b] = [b, a % b];
+    return a;
+}
+
+/**
+ * Format a fraction in lowest terms, e.g. 6/8 -> "3/4" and 4/2 -> "2"
+ */
+function formatFraction(num, den) {
+    const divisor = gcd(num, den);
+    return den / divisor === 1 ? `${num / divisor}` : `${num / divisor}/${den / divisor}`;
+}
+
+/**
+ * Parse a typed answer into an exact fraction { num, den, fraction, reduced }.
+ * Accepts whole numbers, decimals ("0.75"), percents ("75%"), fractions ("3/4")
+ * and mixed numbers ("1 1/2"), with an optional leading minus ("-12", "− 3/4"),
+ * thousands separators ("1,234" or "1 234") and extra spaces.
+ * Returns null for anything else.
+ */
+function parseAnswer(text) {
+    let value = String(text)
+        .trim()
+        .replace(/−/g, '-')
+        .replace(/\s+/g, ' ')
+        .replace(/^- /, '-')
+        .replace(/ ?\/ ?/, '/');
+
+    // Thousands separators, only between proper groups of three: "1,234,567"
+    if (/^-?\d{1,3}(?:[,' ]\d{3})+(?:\.\d*)?%?$/.test(value)) {
+        value = value.replace(/[,' ]/g, '');
+    }
+
+    let match = /^(-?)(?:(\d+) +)?(\d+)\/(\d+)$/.exec(value);
+
+    if (match) {
+        const whole = parseInt(match[2] || '0');
+        const den = parseInt(match[4]);
+        if (den === 0) return null;
+
+        const num = (whole * den + parseInt(match[3])) * (match[1] ? -1 : 1);
+        return { num, den, fraction: true, reduced: gcd(num, den) === 1 };
+    }
+
+    match = /^(-?)(\d*)(?:\.(\d*))?(%?)$/.exec(value);
+    if (!match || !(match[2] || match[3])) return null;
+
+    const places = (match[3] || '').length;
+    const num = parseInt((match[2] || '0') + (match[3] || '')) * (match[1] ? -1 : 1);
+    const den = Math.pow(10, places) * (match[4] ? 100 : 1);
+    return { num, den, fraction: false, reduced: true };
+}
+
+/**
+ * Check a typed answer against a problem, whatever notation either is written in
+ */
+function checkAnswer(input, problem) {
+    const given = parseAnswer(input);
+    const expected = parseAnswer(problem.answer);
+    if (!given || !expected) return false;
+
+    // Fraction answers must be written in lowest terms
+    if (problem.operation === 'fraction' && given.fraction && !given.reduced) return false;
+
+    return given.num * expected.den === expected.num * given.den;
+}
+
+/**
+ * Calculate Average of N (speedcubing style)
+ * Removes the `trim` best and worst times, averages the rest
+ */
+function calculateAoN(times, n, trim = 1) {
+    if (times.length < n) return null;
+
+    // Get last N times
+    const lastN = times.slice(-n);
+
+    // Sort to find best and worst
+    const sorted = [...lastN].sort((a, b) => a - b);
+
+    // Remove best (first) and worst (last)
+    const trimmed = sorted.slice(trim, n - trim);
+
+    // Calculate average
+    return trimmed.reduce((a, b) => a + b, 0) / trimmed.length;
+}
+
+/**
+ * Index of the first item in a sorted array that is >= value
+ */
+function sortedIndex(sorted, value) {
+    let low = 0;
+    let high = sorted.length;
+
+    while (low < high) {
+        const mid = (low + high) >> 1;
+        if (sorted[mid] < value) {
+            low = mid + 1;
+        } else {
+            high = mid;
+        }
+    }
+
+    return low;
+}
+
+/**
+ * Find the best AoN over every window of the history
+ * Returns { value, end } where end is the index just past the window, or null.
+ * One sorted window slides along the history, so nothing is re-sorted.
+ */
+function calculateBestAoN(times, n, trim = 1) {
+    if (times.length < n) return null;
+
+    const window = [];
+    let sum = 0;
+    let best = null;
+
+    for (let end = 1; end <= times.length; end++) {
+        const added = times[end - 1];
+        window.splice(sortedIndex(window, added), 0, added);
+        sum += added;
+
+        if (end > n) {
+            const removed = times[end - n - 1];
+            window.splice(sortedIndex(window, removed), 1);
+            sum -= removed;
+        }
+        if (end < n) continue;
+
+        // Drop the `trim` best and worst from the window's total
+        let trimmed = sum;
+        for (let i = 0; i < trim; i++) {
+            trimmed -= window[i] + window[n - 1 - i];
+        }
+
+        const value = trimmed / (n - 2 * trim);
+        if (best === null || value < best.value) {
+            best = { value, end };
+        }
+    }
+
+    return best;
+}
+
+// ============================================
+// Problem Generation
+// ============================================
+
+/**
+ * Generate one problem for a concrete operation (not mixed, review or chain)
+ * with operands up to `max`. Pass a seeded rng for reproducible problems, and
+ * allowNegative to let subtraction go below zero.
+ */
+function generateOperationProblem(operation, max, rng = Math.random, allowNegative = false) {
+    let a, b, answer, symbol, displayText;
+
+    // Handle exponent separately
+    if (operation === 'exponent') {
+        const problem = generateExponentProblem(max, rng);
+        displayText = problem.displayText;
+        a = problem.a;
+        b = problem.b;
+        answer = problem.answer;
+        symbol = problem.symbol;
+    } else if (FAMILY_LEVELS[operation]) {
+        const level = FAMILY_LEVELS[operation][getFamilyLevel(max) - 1];
+        let problem;
+        switch (operation) {
+            case 'percentage':
+                problem = generatePercentageProblem(level, rng);
+                break;
+            case 'fraction':
+                problem = generateFractionProblem(level, rng);
+                break;
+            default:
+                problem = generateDecimalProblem(level, rng);
+        }
+        ({ a, b, answer, symbol, displayText } = problem);
+    } else if (TECHNIQUE_DRILLS[operation]) {
+        ({ a, b, answer, symbol, displayText } = TECHNIQUE_DRILLS[operation].generate(rng));
+    } else {
+        switch (operation) {
+            case 'multiplication':
+                a = randomInt(2, max, rng);
+                b = randomInt(2, max, rng);
+                answer = a * b;
+                symbol = '×';
+                break;
+
+            case 'addition':
+                a = randomInt(1, max, rng);
+                b = randomInt(1, max, rng);
+                answer = a + b;
+                symbol = '+';
+                break;
+
+            case 'subtraction':
+                a = randomInt(1, max, rng);
+                b = randomInt(1, allowNegative ? max : a, rng); // Keep the result positive unless allowed
+                answer = a - b;
+                symbol = '−';
+                break;
+
+            case 'division':
+                // Generate problems with clean division
+                b = randomInt(2, Math.min(max, 50), rng); // Limit divisor for sane problems
+                answer = randomInt(1, Math.min(max, 50), rng);
+                a = b * answer;
+                symbol = '÷';
+                break;
+
+            default:
+                a = randomInt(1, max, rng);
+                b = randomInt(1, max, rng);
+                answer = a + b;
+                symbol = '+';
+        }
+
+        displayText = `${a} ${symbol} ${b}`;
+    }
+
+    return { a, b, answer, symbol, operation, displayText };
+}
+
+/**
+ * Generate an exponent problem (base^exp)
+ */
+function generateExponentProblem(max, rng = Math.random) {
+    // For exponents, limit base to a reasonable range
+    const maxBase = Math.min(max, 20);
+    const base = randomInt(2, maxBase, rng);
+    const exp = randomInt(2, 3, rng); // Only squares and cubes
+    const answer = Math.pow(base, exp);
+    const displayText = `${base}${exp === 2 ? '²' : '³'}`;
+
+    return {
+        a: base,
+        b: exp,
+        answer,
+        symbol: '^',
+        operation: 'exponent',
+        displayText
+    };
+}
+
+/**
+ * Map a number range onto a family difficulty level (1-5) via MIXED_DIFFICULTIES
+ */
+function getFamilyLevel(max) {
+    return [1, 2, 3, 4, 5].find(level => max <= MIXED_DIFFICULTIES[level]) || 5;
+}
+
+/**
+ * Generate an "x% of y" problem
+ */
+function generatePercentageProblem({ step, maxBase, whole }, rng = Math.random) {
+    const percent = step * randomInt(1, 100 / step, rng);
+
+    // Whole answers need the base to be a multiple of 100 / gcd(percent, 100)
+    const unit = whole ? 100 / gcd(percent, 100) : 1;
+    const base = unit * randomInt(1, Math.floor(maxBase / unit), rng);
+
+    return {
+        a: percent,
+        b: base,
+        answer: Math.round(percent * base) / 100,
+        symbol: '% of',
+        displayText: `${percent}% of ${base}`
+    };
+}
+
+/**
+ * Generate a fraction addition or multiplication problem, answered in lowest terms
+ */
+function generateFractionProblem({ maxDen, ops, sameDen }, rng = Math.random) {
+    const symbol = ops[randomInt(0, ops.length - 1, rng)];
+    const randomFraction = (den) => {
+        const num = randomInt(1, den - 1, rng);
+        const divisor = sameDen ? 1 : gcd(num, den);
+        return { num: num / divisor, den: den / divisor };
+    };
+
+    const x = randomFraction(randomInt(2, maxDen, rng));
+    const y = randomFraction(sameDen ? x.den : randomInt(2, maxDen, rng));
+    const answer = symbol === '×'
+        ? formatFraction(x.num * y.num, x.den * y.den)
+        : formatFraction(x.num * y.den + y.num * x.den, x.den * y.den);
+    const a = `${x.num}/${x.den}`;
+    const b = `${y.num}/${y.den}`;
+
+    return { a, b, answer, symbol, displayText: `${a} ${symbol} ${b}` };
+}
+
+/**
+ * Generate a decimal problem with a fixed number of places.
+ * Works on scaled integers so answers are exact.
+ */
+function generateDecimalProblem({ places, max, ops }, rng = Math.random) {
+    const scale = Math.pow(10, places);
+    const symbol = ops[randomInt(0, ops.length - 1, rng)];
+    const x = randomInt(1, max * scale - 1, rng);
+    let y, result;
+
+    switch (symbol) {
+        case '×':
+            // Multiply by a single digit to keep it mental
+            y = randomInt(2, 9, rng);
+            result = x * y;
+            break;
+        case '−':
+            y = randomInt(1, x, rng);
+            result = x - y;
+            break;
+        default:
+            y = randomInt(1, max * scale - 1, rng);
+            result = x + y;
+    }
+
+    const a = (x / scale).toFixed(places);
+    const b = symbol === '×' ? String(y) : (y / scale).toFixed(places);
+
+    return { a, b, answer: (result / scale).toFixed(places), symbol, displayText: `${a} ${symbol} ${b}` };
+}
+
+/**
+ * Two 2-digit numbers whose sum needs no carrying (e.g. 43 + 25)
+ */
+function generateNoCarryProblem(rng = Math.random) {
+    const unitsA = randomInt(0, 9, rng);
+    const unitsB = randomInt(0, 9 - unitsA, rng);
+    const tensA = randomInt(1, 8, rng);
+    const tensB = randomInt(1, 9 - tensA, rng);
+    const a = tensA * 10 + unitsA;
+    const b = tensB * 10 + unitsB;
+
+    return { a, b, answer: a + b, symbol: '+', displayText: `${a} + ${b}` };
+}
+
+/**
+ * A 2-digit number times 11
+ */
+function generateTimesElevenProblem(rng = Math.random) {
+    const a = randomInt(12, 99, rng);
+    return { a, b: 11, answer: a * 11, symbol: '×', displayText: `${a} × 11` };
+}
+
+/**
+ * Square of a 2-digit number ending in 5 (e.g. 65²)
+ */
+function generateEndsInFiveProblem(rng = Math.random) {
+    const a = randomInt(1, 9, rng) * 10 + 5;
+    return { a, b: 2, answer: a * a, symbol: '^', displayText: `${a}²` };
+}
+
+/**
+ * Product of two numbers within 10 of 100 (e.g. 97 × 104)
+ */
+function generateNearHundredProblem(rng = Math.random) {
+    const a = 100 + randomInt(-10, 10, rng);
+    const b = 100 + randomInt(-10, 10, rng);
+    return { a, b, answer: a * b, symbol: '×', displayText: `${a} × ${b}` };
+}
+
+/**
+ * Division by 5 (double, then ÷10) or by 25 (× 4, then ÷100) with a whole answer
+ */
+function generateDivideByFiveProblem(rng = Math.random) {
+    const b = rng() < 0.5 ? 5 : 25;
+    const answer = b === 5 ? randomInt(3, 199, rng) : randomInt(2, 40, rng);
+    const a = answer * b;
+
+    return { a, b, answer, symbol: '÷', displayText: `${a} ÷ ${b}` };
+}
+
+// ============================================
+// Solution Explanations
+// ============================================
+
+const PLACE_NAMES = ['ones', 'tens', 'hundreds', 'thousands', 'ten-thousands', 'hundred-thousands'];
+
+// Operands that aren't plain numbers: fractions as "3/4", decimals as "1.25" (× takes a whole "7")
+const OPERAND_PATTERNS = {
+    fraction: [/^\d+\/[1-9]\d*$/, /^\d+\/[1-9]\d*$/],
+    decimal: [/^\d+\.\d{1,3}$/, /^\d+(\.\d{1,3})?$/]
+};
+
+/**
+ * Check that a problem's operands have the form its operation stores them in,
+ * so explanations of imported or older records can't be fed something else
+ */
+function hasValidOperands(operation, a, b) {
+    const patterns = OPERAND_PATTERNS[operation];
+    if (!patterns) return Number.isFinite(a) && Number.isFinite(b);
+
+    return typeof a === 'string' && typeof b === 'string' && patterns[0].test(a) && patterns[1].test(b);
+}
+
+/**
+ * Split a whole number into its non-zero place values, largest first (407 -> [400, 7])
+ */
+function splitPlaces(n) {
+    return String(n).split('')
+        .map((digit, i, digits) => parseInt(digit) * Math.pow(10, digits.length - 1 - i))
+        .filter(part => part > 0);
+}
+
+/**
+ * Break a problem into the steps of a recommended mental strategy.
+ * Returns { strategy, steps } or null when there is nothing to explain (e.g. Chain Math).
+ */
+function explainProblem(problem) {
+    const { a, b, symbol, operation } = problem;
+    if (a === undefined || b === undefined || !hasValidOperands(operation, a, b)) return null;
+
+    switch (operation) {
+        case 'percentage':
+            return explainPercentage(a, b);
+        case 'fraction':
+            return explainFraction(a, b, symbol);
+        case 'decimal':
+            return explainDecimal(a, b, symbol);
+        case 'timesEleven':
+            return explainTimesEleven(a);
+        case 'nearHundred':
+            return explainNearHundred(a, b);
+    }
+
+    switch (symbol) {
+        case '×':
+            return explainMultiplication(a, b);
+        case '+':
+            return explainAddition(a, b);
+        case '−':
+            return explainSubtraction(a, b);
+        case '÷':
+            return explainDivision(a, b);
+        case '^':
+            return explainPower(a, b);
+        default:
+            return null;
+    }
+}
+
+/**
+ * Partial products: split one factor by place value and multiply each part
+ */
+function explainMultiplication(a, b) {
+    const big = Math.max(a, b);
+    const small = Math.min(a, b);
+    const split = small < 10 ? big : small;
+    const other = small < 10 ? small : big;
+    const parts = splitPlaces(split);
+
+    if (parts.length === 1) {
+        return { strategy: 'Times-table fact', steps: [`${a} × ${b} = ${a * b}`] };
+    }
+
+    const products = parts.map(part => part * other);
+    return {
+        strategy: 'Partial products',
+        steps: [
+            `Split ${split} into ${parts.join(' + ')}`,
+            ...parts.map((part, i) => `${part} × ${other} = ${products[i]}`),
+            `Add the parts: ${products.join(' + ')} = ${a * b}`
+        ]
+    };
+}
+
+/**
+ * Left-to-right addition, one place value at a time, noting carries
+ */
+function explainAddition(a, b) {
+    const steps = [];
+    let total = 0;
+
+    for (let place = String(Math.max(a, b)).length - 1; place >= 0; place--) {
+        const unit = Math.pow(10, place);
+        const digitA = Math.floor(a / unit) % 10;
+        const digitB = Math.floor(b / unit) % 10;
+        if (digitA + digitB === 0) continue;
+
+        const column = (digitA + digitB) * unit;
+        const carry = digitA + digitB >= 10 ? `, carry 1 into the ${PLACE_NAMES[place + 1]}` : '';
+        const running = total > 0 ? `, running total ${total + column}` : '';
+        const name = PLACE_NAMES[place];
+        steps.push(`${name[0].toUpperCase()}${name.slice(1)}: ${digitA * unit} + ${digitB * unit} = ${column}${carry}${running}`);
+        total += column;
+    }
+
+    return { strategy: 'Left-to-right addition', steps: [...steps, `${a} + ${b} = ${a + b}`] };
+}
+
+/**
+ * Complements: count up from the smaller number to a round number, then to the larger
+ */
+function explainSubtraction(a, b) {
+    // Negative results: subtract the other way round and flip the sign
+    if (a < b) {
+        const { strategy, steps } = explainSubtraction(b, a);
+        return {
+            strategy: `${strategy}, then flip the sign`,
+            steps: [`${b} is bigger than ${a}, so work out ${b} − ${a}`, ...steps, `${a} − ${b} = ${a - b}`]
+        };
+    }
+
+    const round = Math.ceil(b / 10) * 10;
+
+    if (b % 10 !== 0 && a >= round) {
+        return {
+            strategy: 'Count up (complements)',
+            steps: [
+                `${b} to ${round}: +${round - b}`,
+                `${round} to ${a}: +${a - round}`,
+                `Add the jumps: ${round - b} + ${a - round} = ${a - b}`
+            ]
+        };
+    }
+
+    // Close together or already round: take away one place value at a time
+    let value = a;
+    const steps = splitPlaces(b).map(part => {
+        const step = `${value} − ${part} = ${value - part}`;
+        value -= part;
+        return step;
+    });
+    return { strategy: 'Subtract in parts', steps };
+}
+
+/**
+ * Factor the divisor (or use partial quotients when it's prime)
+ */
+function explainDivision(a, b) {
+    const answer = a / b;
+
+    // ÷5 is ×2 then ÷10; ÷25 is ×4 then ÷100
+    if (b === 5 || b === 25) {
+        const factor = b === 5 ? 2 : 4;
+        const shift = b === 5 ? 10 : 100;
+        return {
+            strategy: 'Multiply, then shift',
+            steps: [`${a} × ${factor} = ${a * factor}`, `${a * factor} ÷ ${shift} = ${answer}`]
+        };
+    }
+
+    const factors = [];
+    for (let n = b, p = 2; n > 1; p++) {
+        while (n % p === 0) {
+            factors.push(p);
+            n /= p;
+        }
+    }
+
+    if (factors.length > 1) {
+        let value = a;
+        return {
+            strategy: `Factor the divisor: ${b} = ${factors.join(' × ')}`,
+            steps: factors.map(factor => {
+                const step = `${value} ÷ ${factor} = ${value / factor}`;
+                value /= factor;
+                return step;
+            })
+        };
+    }
+
+    const parts = splitPlaces(answer);
+    if (parts.length === 1) {
+        return { strategy: 'Times-table fact', steps: [`${b} × ${answer} = ${a}, so ${a} ÷ ${b} = ${answer}`] };
+    }
+
+    let remaining = a;
+    return {
+        strategy: 'Partial quotients',
+        steps: [
+            ...parts.map(part => {
+                const step = `${b} × ${part} = ${b * part}, leaving ${remaining - b * part}`;
+                remaining -= b * part;
+                return step;
+            }),
+            `Add the quotients: ${parts.join(' + ')} = ${answer}`
+        ]
+    };
+}
+
+/**
+ * Squares via the nearest round number, cubes as square × base
+ */
+function explainPower(a, b) {
+    if (b === 3) {
+        return {
+            strategy: 'Square, then multiply',
+            steps: [`${a}² = ${a * a}`, `${a * a} × ${a} = ${a * a * a}`]
+        };
+    }
+
+    if (a % 10 === 5) {
+        const tens = (a - 5) / 10;
+        return {
+            strategy: 'Ends in 5',
+            steps: [
+                `Multiply the tens digit by the next number: ${tens} × ${tens + 1} = ${tens * (tens + 1)}`,
+                `Append 25: ${a * a}`
+            ]
+        };
+    }
+
+    const offset = a % 10 < 5 ? a % 10 : a % 10 - 10;
+    if (offset === 0 || a < 10) {
+        return { strategy: 'Times-table fact', steps: [`${a} × ${a} = ${a * a}`] };
+    }
+
+    const up = a + Math.abs(offset);
+    const down = a - Math.abs(offset);
+    return {
+        strategy: 'Round to the nearest ten',
+        steps: [
+            `Go ${Math.abs(offset)} each way: ${down} × ${up} = ${down * up}`,
+            `Add ${Math.abs(offset)}² = ${offset * offset}: ${down * up} + ${offset * offset} = ${a * a}`
+        ]
+    };
+}
+
+/**
+ * ×11: add the digits and put the sum in the middle
+ */
+function explainTimesEleven(a) {
+    const tens = Math.floor(a / 10);
+    const ones = a % 10;
+    const sum = tens + ones;
+
+    return {
+        strategy: 'Add the digits (× 11)',
+        steps: [
+            `${tens} + ${ones} = ${sum}`,
+            sum < 10
+                ? `Put ${sum} between ${tens} and ${ones}: ${a * 11}`
+                : `Put ${sum % 10} between ${tens} and ${ones} and carry 1 into the ${tens}: ${a * 11}`
+        ]
+    };
+}
+
+/**
+ * Numbers near 100: cross-add the differences, then add their product
+ */
+function explainNearHundred(a, b) {
+    const da = a - 100;
+    const db = b - 100;
+    const signed = n => (n < 0 ? `−${-n}` : `+${n}`);
+    const base = (a + db) * 100;
+
+    return {
+        strategy: 'Work from 100',
+        steps: [
+            `Differences from 100: ${signed(da)} and ${signed(db)}`,
+            `Cross-add: ${a} ${db < 0 ? '−' : '+'} ${Math.abs(db)} = ${a + db}, so ${base}`,
+            `Multiply the differences: ${signed(da)} × ${signed(db)} = ${signed(da * db)}`,
+            `${base} ${da * db < 0 ? '−' : '+'} ${Math.abs(da * db)} = ${a * b}`
+        ]
+    };
+}
+
+/**
+ * x% of y: find 10% (or 1%) and scale it
+ */
+function explainPercentage(percent, base) {
+    const answer = Math.round(percent * base) / 100;
+
+    if (percent % 10 === 0) {
+        return {
+            strategy: 'Start from 10%',
+            steps: [`10% of ${base} = ${base / 10}`, `${percent}% = ${percent / 10} × ${base / 10} = ${answer}`]
+        };
+    }
+
+    return {
+        strategy: 'Start from 1%',
+        steps: [`1% of ${base} = ${base / 100}`, `${percent}% = ${percent} × ${base / 100} = ${answer}`]
+    };
+}
+
+/**
+ * Fractions: multiply straight across, or add over a common denominator
+ */
+function explainFraction(a, b, symbol) {
+    const [n1, d1] = a.split('/').map(Number);
+    const [n2, d2] = b.split('/').map(Number);
+
+    if (symbol === '×') {
+        return {
+            strategy: 'Multiply straight across',
+            steps: [
+                `Numerators: ${n1} × ${n2} = ${n1 * n2}`,
+                `Denominators: ${d1} × ${d2} = ${d1 * d2}`,
+                `Lowest terms: ${n1 * n2}/${d1 * d2} = ${formatFraction(n1 * n2, d1 * d2)}`
+            ]
+        };
+    }
+
+    const common = d1 * d2 / gcd(d1, d2);
+    const x = n1 * common / d1;
+    const y = n2 * common / d2;
+    return {
+        strategy: 'Common denominator',
+        steps: [
+            `Common denominator: ${common}`,
+            `${a} = ${x}/${common} and ${b} = ${y}/${common}`,
+            `Add the numerators: ${x} + ${y} = ${x + y}, so ${x + y}/${common}`,
+            `Lowest terms: ${formatFraction(x + y, common)}`
+        ]
+    };
+}
+
+/**
+ * Decimals: work in whole tenths/hundredths/thousandths, then put the point back
+ */
+function explainDecimal(a, b, symbol) {
+    const places = a.split('.')[1].length;
+    const scale = Math.pow(10, places);
+    const unit = ['tenths', 'hundredths', 'thousandths'][places - 1];
+    const x = Math.round(parseFloat(a) * scale);
+
+    if (symbol === '×') {
+        return {
+            strategy: 'Ignore the point, then put it back',
+            steps: [`${x} × ${b} = ${x * b}`, `Put back ${places} decimal place${places > 1 ? 's' : ''}: ${(x * b / scale).toFixed(places)}`]
+        };
+    }
+
+    const y = Math.round(parseFloat(b) * scale);
+    const result = symbol === '−' ? x - y : x + y;
+    return {
+        strategy: `Work in ${unit}`,
+        steps: [`${x} ${symbol} ${y} = ${result} ${unit}`, `Put back the point: ${(result / scale).toFixed(places)}`]
+    };
+}
+
+// ============================================
+// Trainer Engine
+// ============================================
+
+// Real time: performance.now() for solve times, Date.now() for timestamps
+const SYSTEM_CLOCK = {
+    now: () => performance.now(),
+    timestamp: () => Date.now(),
+    setTimeout: (fn, ms) => setTimeout(fn, ms),
+    clearTimeout: (id) => clearTimeout(id)
+};
+
+/**
+ * Runs practice sessions without touching the DOM, and reports what happens
+ * through events: sessionStart, problem, result, answer, skip, timeout, pause,
+ * resume, sessionEnd.
+ *
+ * Dependencies are injected so the engine can run anywhere:
+ *   generate(mode, session) -> problem, or null when there is nothing left to ask
+ *   clock: { now, timestamp, setTimeout, clearTimeout }
+ *   storage: { saveSolveTime, saveProblemRecord, saveWrongAnswer, saveSession } (any may be omitted)
+ *   createRng(seed) -> () => number in [0, 1)
+ */
+class TrainerEngine {
+    constructor({ generate, clock = SYSTEM_CLOCK, storage = {}, createRng: rngFactory = createRng } = {}) {
+        this.generate = generate || ((mode, session) =>
+            generateOperationProblem(mode, DIGIT_RANGE_MAX[session.digitRange] || 99, session.rng, session.allowNegative));
+        this.clock = clock;
+        this.storage = storage;
+        this.createRng = rngFactory;
+        this.listeners = {};
+        this.session = { active: false };
+    }
+
+    /**
+     * Subscribe to an event; returns a function that unsubscribes
+     */
+    on(event, handler) {
+        (this.listeners[event] = this.listeners[event] || []).push(handler);
+        return () => {
+            this.listeners[event] = this.listeners[event].filter(h => h !== handler);
+        };
+    }
+
+    emit(event, payload) {
+        (this.listeners[event] || []).forEach(handler => handler(payload));
+    }
+
+    /**
+     * Start a session. Config: seed, format, goal, timeLimit (seconds, 0 = none),
+     * digitRange, plus anything the generator or listeners need (kept on the session).
+     */
+    start(mode, config = {}) {
+        this.end();
+
+        const seed = config.seed ?? newSeed();
+        this.session = {
+            ...config,
+            mode,
+            active: true,
+            problems: [],
+            currentProblem: null,
+            awaitingAnswer: false,
+            correct: 0,
+            total: 0,
+            times: [],
+            startTime: null,
+            sessionStart: this.clock.timestamp(),
+            startedAt: this.clock.now(),
+            usedProblems: new Set(),
+            format: config.format || 'free',
+            goal: config.goal ?? null,
+            streak: 0,
+            bestStreak: 0,
+            completed: false,
+            seed,
+            rng: this.createRng(seed),
+            timeLimit: config.timeLimit ?? 0,
+            problemTimer: null,
+            formatTimer: null,
+            paused: false,
+            pausedAt: null,
+            pausedTime: 0
+        };
+
+        this.armBlitzTimer();
+
+        this.emit('sessionStart', this.session);
+        this.next();
+        return this.session;
+    }
+
+    /**
+     * Check whether the session format's end condition has been reached
+     */
+    isOver() {
+        const { format, goal, total, correct, streak } = this.session;
+
+        switch (format) {
+            case 'count':
+            case 'daily':
+                return total >= goal;
+            case 'survival':
+                return total > correct;
+            case 'streak':
+                return streak >= goal;
+            default:
+                return false;
+        }
+    }
+
+    /**
+     * Continue to the next problem, or finish if the format's goal has been met
+     */
+    advance() {
+        if (!this.session.active) return;
+
+        if (this.isOver()) {
+            this.session.completed = true;
+            this.end();
+        } else {
+            this.next();
+        }
+    }
+
+    /**
+     * Generate the next problem and start timing it. Problems flagged
+     * `awaitsDisplay` (e.g. Chain Math) start timing when startTiming() is called.
+     */
+    next() {
+        const problem = this.generate(this.session.mode, this.session);
+
+        // Generators return null when they run out (e.g. no more due review cards)
+        if (!problem) {
+            this.end();
+            return;
+        }
+
+        this.session.currentProblem = problem;
+        this.session.awaitingAnswer = false;
+        this.emit('problem', problem);
+
+        if (!problem.awaitsDisplay) {
+            this.startTiming();
+        }
+    }
+
+    /**
+     * Start the answer clock (and the time limit, if any) for the current problem
+     */
+    startTiming() {
+        if (!this.session.active) return;
+
+        this.session.startTime = this.clock.now();
+        this.session.awaitingAnswer = true;
+
+        // A problem served during a pause gets its time limit on resume
+        if (!this.session.paused) {
+            this.armTimeLimit();
+        }
+    }
+
+    /**
+     * Time out the current problem once whatever is left of its time limit runs out
+     */
+    armTimeLimit() {
+        if (this.session.timeLimit <= 0) return;
+
+        const remaining = this.session.timeLimit * 1000 - this.elapsed() * 1000;
+        this.session.problemTimer = this.clock.setTimeout(() => this.timeout(), Math.max(0, remaining));
+    }
+
+    /**
+     * Blitz ends the whole session when the clock runs out, even mid-problem
+     */
+    armBlitzTimer() {
+        if (this.session.format !== 'blitz') return;
+
+        const remaining = BLITZ_DURATION * 1000 - this.activeTime() * 1000;
+        this.session.formatTimer = this.clock.setTimeout(() => {
+            this.session.completed = true;
+            this.end();
+        }, Math.max(0, remaining));
+    }
+
+    /**
+     * Freeze the session: the answer clock, the time limit and Blitz all stop
+     * until resume(). Returns false if there is nothing to pause.
+     */
+    pause() {
+        const session = this.session;
+        if (!session.active || session.paused) return false;
+
+        session.paused = true;
+        session.pausedAt = this.clock.now();
+        this.clock.clearTimeout(session.problemTimer);
+        this.clock.clearTimeout(session.formatTimer);
+        session.problemTimer = null;
+        session.formatTimer = null;
+
+        this.emit('pause', session);
+        return true;
+    }
+
+    /**
+     * Continue a paused session. The pause is left out of the current problem's
+     * time and added to the session's pausedTime.
+     */
+    resume() {
+        const session = this.session;
+        if (!session.active || !session.paused) return false;
+
+        const now = this.clock.now();
+        session.pausedTime += now - session.pausedAt;
+
+        // Only the part of the pause after the problem appeared counts against it
+        if (session.startTime !== null) {
+            session.startTime += now - Math.max(session.startTime, session.pausedAt);
+        }
+
+        session.paused = false;
+        session.pausedAt = null;
+
+        if (session.awaitingAnswer) {
+            this.armTimeLimit();
+        }
+        this.armBlitzTimer();
+
+        this.emit('resume', session);
+        return true;
+    }
+
+    /**
+     * Stop the answer clock and return the elapsed seconds
+     */
+    stopTiming() {
+        this.clock.clearTimeout(this.session.problemTimer);
+        this.session.problemTimer = null;
+        this.session.awaitingAnswer = false;
+
+        const elapsed = this.elapsed();
+        this.session.startTime = null;
+        return elapsed;
+    }
+
+    /**
+     * Seconds spent on the current problem so far
+     */
+    elapsed() {
+        const { startTime, paused, pausedAt } = this.session;
+        if (startTime === null || startTime === undefined) return 0;
+
+        // Frozen while paused
+        const now = paused ? pausedAt : this.clock.now();
+        return Math.max(0, now - startTime) / 1000;
+    }
+
+    /**
+     * Seconds the session has been running, not counting pauses
+     */
+    activeTime() {
+        const { startedAt, paused, pausedAt, pausedTime } = this.session;
+        const now = paused ? pausedAt : this.clock.now();
+        return (now - startedAt - pausedTime) / 1000;
+    }
+
+    /**
+     * Answer the current problem. Returns the result, or null if the input
+     * isn't a number or no answer is expected right now.
+     */
+    submit(input) {
+        const text = String(input).trim();
+        const parsed = parseAnswer(text);
+        if (!this.session.awaitingAnswer || this.session.paused || !parsed) return null;
+
+        const problem = this.session.currentProblem;
+        const time = this.stopTiming();
+        const correct = checkAnswer(text, problem);
+
+        // Whole numbers are stored as numbers; fractions, decimals and percents as typed
+        const userAnswer = parsed.den === 1 && !parsed.fraction ? parsed.num : text;
+
+        this.record(correct, time, correct ? 'correct' : 'wrong', userAnswer);
+
+        if (!correct && this.storage.saveWrongAnswer) {
+            this.storage.saveWrongAnswer({
+                problem: problem.displayText,
+                a: problem.a,
+                b: problem.b,
+                symbol: problem.symbol,
+                userAnswer,
+                correctAnswer: problem.answer,
+                operation: problem.operation,
+                timestamp: this.clock.timestamp()
+            });
+        }
+
+        const result = { problem, correct, userAnswer, time };
+        this.emit('answer', result);
+        return result;
+    }
+
+    /**
+     * Give up on the current problem
+     */
+    skip() {
+        if (!this.session.awaitingAnswer || this.session.paused) return null;
+
+        const problem = this.session.currentProblem;
+        const time = this.stopTiming();
+        this.record(false, time, 'skip');
+
+        const result = { problem, correct: false, time };
+        this.emit('skip', result);
+        return result;
+    }
+
+    /**
+     * The time limit ran out on the current problem
+     */
+    timeout() {
+        if (!this.session.awaitingAnswer) return;
+
+        const problem = this.session.currentProblem;
+        const time = this.stopTiming();
+        this.record(false, time, 'timeout');
+        this.emit('timeout', { problem, correct: false, time });
+    }
+
+    /**
+     * Score an answer, persist it and emit `result`.
+     * status is 'correct', 'wrong', 'skip' or 'timeout'; answer is what was typed.
+     */
+    record(correct, time, status, answer = null) {
+        const session = this.session;
+        const problem = session.currentProblem;
+
+        session.total++;
+        if (correct) {
+            session.correct++;
+            session.streak++;
+            session.bestStreak = Math.max(session.bestStreak, session.streak);
+            session.times.push(time);
+
+            // Save solve time globally
+            if (this.storage.saveSolveTime) {
+                this.storage.saveSolveTime(time, session.mode, problem.operation);
+            }
+        } else {
+            session.streak = 0;
+        }
+
+        session.problems.push({ problem, correct, time, status, answer });
+
+        // Keep every operand-level result for long-term per-fact stats
+        const { a, b, operation } = problem;
+        if (a !== undefined && b !== undefined && this.storage.saveProblemRecord) {
+            this.storage.saveProblemRecord({
+                a, b, operation, mode: session.mode, correct, time, timestamp: this.clock.timestamp()
+            });
+        }
+
+        this.emit('result', { problem, correct, time });
+    }
+
+    /**
+     * Finish the session: emit `sessionEnd` with the summary record, then save it.
+     * Listeners therefore still see history as it was before this session.
+     */
+    end() {
+        const session = this.session;
+        if (!session.active) return null;
+
+        this.clock.clearTimeout(session.problemTimer);
+        this.clock.clearTimeout(session.formatTimer);
+        session.problemTimer = null;
+        session.formatTimer = null;
+        session.awaitingAnswer = false;
+        session.active = false;
+
+        // Ending while paused: the pause so far doesn't count as playing time
+        if (session.paused) {
+            session.pausedTime += this.clock.now() - session.pausedAt;
+            session.paused = false;
+            session.pausedAt = null;
+        }
+
+        const { mode, correct, total, times } = session;
+        const accuracy = total > 0 ? ((correct / total) * 100).toFixed(0) : 0;
+
+        const record = {
+            mode,
+            format: session.format,
+            goal: session.goal,
+            completed: session.completed,
+            duration: (this.clock.timestamp() - session.sessionStart - session.pausedTime) / 1000,
+            pausedDuration: session.pausedTime / 1000,
+            bestStreak: session.bestStreak,
+            seed: session.seed,
+            daily: session.daily ?? null,
+            timeLimit: session.timeLimit,
+            digitRange: session.digitRange,
+            allowNegative: session.allowNegative ?? false,
+            chainConfig: mode === 'chain' ? session.chainConfig : null,
+            mixedConfig: mode === 'mixed' ? { ...session.mixedConfig } : null,
+            facts: session.facts ?? null,
+            adaptive: session.adaptive ?? false,
+            correct,
+            total,
+            accuracy: parseFloat(accuracy),
+            avgTime: times.length > 0 ? times.reduce((a, b) => a + b, 0) / times.length : 0,
+            bestTime: times.length > 0 ? Math.min(...times) : 0,
+            times,
+            // Per-problem review; chain rounds keep their numbers so they can be retried
+            problems: session.problems.map(({ problem, time, status, answer }) => ({
+                text: problem.displayText,
+                a: problem.a,
+                b: problem.b,
+                symbol: problem.symbol,
+                operation: problem.operation,
+                numbers: problem.numbers,
+                answer,
+                correctAnswer: problem.answer,
+                time,
+                status
+            })),
+            timestamp: this.clock.timestamp()
+        };
+
+        this.emit('sessionEnd', record);
+
+        if (this.storage.saveSession) {
+            this.storage.saveSession(record);
+        }
+        return record;
+    }
+}
+
+// Node (tests, other front ends): export the engine and its pure helpers
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        TrainerEngine,
+        DIGIT_RANGE_MAX,
+        BLITZ_DURATION,
+        MIXED_DIFFICULTIES,
+        FAMILY_LEVELS,
+        TECHNIQUE_DRILLS,
+        hashSeed,
+        createRng,
+        newSeed,
+        randomInt,
+        gcd,
+        formatFraction,
+        parseAnswer,
+        checkAnswer,
+        calculateAoN,
+        calculateBestAoN,
+        generateOperationProblem,
+        generateExponentProblem,
+        getFamilyLevel,
+        generatePercentageProblem,
+        generateFractionProblem,
+        generateDecimalProblem,
+        hasValidOperands,
+        explainProblem
+    };
+}
@@ -0,0 +1,62 @@
+/**
+ * Stamp sw.js with a CACHE_VERSION hashed from the files it precaches, so any
+ * change to them makes the browser install a new service worker.
+ *
+ *   node scripts/update-sw-version.js          rewrite sw.js if the version is stale
+ *   node scripts/update-sw-version.js --check  exit 1 if it is stale
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+const ROOT = path.join(__dirname, '..');
+const SW_PATH = path.join(ROOT, 'sw.js');
+const VERSION_PATTERN = /const CACHE_VERSION = '([^']*)';/;
+
+/**
+ * The precached files listed in sw.js ('./' is index.html again)
+ */
+function getPrecachedFiles(source) {
+    const list = /const PRECACHE_URLS = \[([\s\S]*?)\];/.exec(source)[1];
+    return [...list.matchAll(/'([^']+)'/g)]
+        .map(match => match[1])
+        .filter(url => url !== './');
+}
+
+/**
+ * Short hash of every precached file's name and contents
+ */
+function computeVersion(source = fs.readFileSync(SW_PATH, 'utf8')) {
+    const hash = crypto.createHash('sha256');
+    for (const file of getPrecachedFiles(source)) {
+        hash.update(file);
+        hash.update(fs.readFileSync(path.join(ROOT, file)));
+    }
+    return hash.digest('hex').slice(0, 12);
+}
+
+/**
+ * The version sw.js currently declares
+ */
+function readVersion(source = fs.readFileSync(SW_PATH, 'utf8')) {
+    return VERSION_PATTERN.exec(source)[1];
+}
+
+if (require.main === module) {
+    const source = fs.readFileSync(SW_PATH, 'utf8');
+    const current = readVersion(source);
+    const expected = computeVersion(source);
+
+    if (current === expected) {
+        console.log(`sw.js is up to date (${current})`);
+    } else if (process.argv.includes('--check')) {
+        console.error(`sw.js CACHE_VERSION is ${current}, expected ${expected}. Run: npm run sw-version`);
+        process.exitCode = 1;
+    } else {
+        fs.writeFileSync(SW_PATH, source.replace(VERSION_PATTERN, `const CACHE_VERSION = '${expected}';`));
+        console.log(`sw.js CACHE_VERSION ${current} -> ${expected}`);
+    }
+}
+
+module.exports = { computeVersion, readVersion, getPrecachedFiles };
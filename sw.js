@@ -0,0 +1,66 @@
+/**
+ * Mental Math Trainer - Service Worker
+ * Precaches the app shell so it works offline after the first visit.
+ */
+
+// Hash of the precached files, set by `npm run sw-version` (`npm test` fails when it's stale).
+// A new version makes the browser install this worker again; the app then offers a reload.
+const CACHE_VERSION = '5b9545d4cfa8';
+const CACHE_NAME = `mental-math-trainer-${CACHE_VERSION}`;
+
+const PRECACHE_URLS = [
+    './',
+    'index.html',
+    'engine.js',
+    'chain.js',
+    'app.js',
+    'styles.css',
+    'manifest.webmanifest',
+    'icons/icon.svg',
+    'icons/icon-192.png',
+    'icons/icon-512.png',
+    'icons/icon-maskable-512.png',
+    'icons/apple-touch-icon.png'
+];
+
+// Cache the new version, then wait until the app asks to switch over
+self.addEventListener('install', (event) => {
+    event.waitUntil(
+        caches.open(CACHE_NAME).then(cache => cache.addAll(PRECACHE_URLS))
+    );
+});
+
+// Drop caches from older versions
+self.addEventListener('activate', (event) => {
+    event.waitUntil(
+        caches.keys()
+            .then(keys => Promise.all(
+                keys.filter(key => key !== CACHE_NAME).map(key => caches.delete(key))
+            ))
+            .then(() => self.clients.claim())
+    );
+});
+
+// Cache first for the app shell; pages fall back to index.html when offline
+self.addEventListener('fetch', (event) => {
+    const { request } = event;
+    if (request.method !== 'GET' || new URL(request.url).origin !== self.location.origin) return;
+
+    event.respondWith(
+        caches.match(request, { ignoreSearch: request.mode === 'navigate' }).then(cached => {
+            if (cached) return cached;
+
+            return fetch(request).catch(() => {
+                if (request.mode === 'navigate') return caches.match('index.html');
+                throw new Error(`Offline and not cached: ${request.url}`);
+            });
+        })
+    );
+});
+
+// The app posts SKIP_WAITING when the user accepts the update
+self.addEventListener('message', (event) => {
+    if (event.data && event.data.type === 'SKIP_WAITING') {
+        self.skipWaiting();
+    }
+});
@@ -0,0 +1,197 @@
+/**
+ * Tests for Flash Anzan playback (chain.js): the flash loop on a fake clock,
+ * with a stub speech adapter standing in for the browser's.
+ */
+
+const { test, describe } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { CHAIN_GAP_RATIO, pickChainAudio, getSpokenText, playChain } = require('../chain.js');
+
+/**
+ * A clock that only moves when told to, firing due timers in order
+ */
+function createFakeClock() {
+    let now = 0;
+    let timers = [];
+
+    return {
+        now: () => now,
+        setTimeout(fn, ms) {
+            timers.push({ fn, at: now + ms });
+        },
+        tick(ms) {
+            const end = now + ms;
+            for (;;) {
+                const due = timers.filter(t => t.at <= end).sort((a, b) => a.at - b.at)[0];
+                if (!due) break;
+                timers = timers.filter(t => t !== due);
+                now = due.at;
+                due.fn();
+            }
+            now = end;
+        }
+    };
+}
+
+/**
+ * A speech adapter that records what it was asked to say and finishes when told to
+ */
+function createStubSpeech({ available = true } = {}) {
+    const pending = [];
+
+    return {
+        spoken: [],
+        cancelled: 0,
+        isAvailable: () => available,
+        getVoices: () => [],
+        speak(text, options) {
+            this.spoken.push({ text, options });
+            return new Promise(resolve => pending.push(resolve));
+        },
+        finish() {
+            pending.splice(0).forEach(resolve => resolve());
+        },
+        cancel() {
+            this.cancelled++;
+        }
+    };
+}
+
+// Let settled speech promises run their callbacks
+const flush = () => new Promise(resolve => setImmediate(resolve));
+
+const CHAIN = [
+    { value: 12, operation: '+' },
+    { value: 7, operation: '-' },
+    { value: 7, operation: '-' }
+];
+
+/**
+ * Play a chain, logging each callback as a short string
+ */
+function play(numbers, options) {
+    const log = [];
+    const playback = playChain(numbers, {
+        onNumber: (item, index) => log.push(`show ${index}:${item.value}`),
+        onBlank: index => log.push(`blank ${index}`),
+        onDone: () => log.push('done'),
+        ...options
+    });
+    return { log, playback };
+}
+
+describe('getSpokenText', () => {
+    test('speaks the first number bare and the rest with their sign', () => {
+        assert.deepEqual(CHAIN.map(getSpokenText), ['12', '-7', '-7']);
+    });
+});
+
+describe('pickChainAudio', () => {
+    const beep = { isAvailable: () => true };
+
+    test('is silent when audio is off', () => {
+        assert.equal(pickChainAudio('off', createStubSpeech(), beep), null);
+    });
+
+    test('uses the speech adapter with its options when it can speak', () => {
+        const speech = createStubSpeech();
+        const audio = pickChainAudio('speech', speech, beep, { rate: 1.5 });
+        assert.equal(audio.adapter, speech);
+        assert.deepEqual(audio.options, { rate: 1.5 });
+    });
+
+    test('falls back to beeps when speech is unavailable, and to nothing without either', () => {
+        const speech = createStubSpeech({ available: false });
+        assert.equal(pickChainAudio('speech', speech, beep).adapter, beep);
+        assert.equal(pickChainAudio('beep', speech, beep).adapter, beep);
+        assert.equal(pickChainAudio('speech', speech, { isAvailable: () => false }), null);
+    });
+});
+
+describe('playChain', () => {
+    test('flashes each number for the interval, blanking before a repeat', () => {
+        const clock = createFakeClock();
+        const { log } = play(CHAIN, { interval: 1000, clock });
+
+        assert.deepEqual(log, ['show 0:12']);
+        clock.tick(999);
+        assert.deepEqual(log, ['show 0:12']);
+        clock.tick(1);
+        assert.deepEqual(log, ['show 0:12', 'show 1:7']);
+
+        // The next number repeats this one, so the display blanks first
+        clock.tick(1000 * (1 - CHAIN_GAP_RATIO));
+        assert.deepEqual(log.slice(2), ['blank 1']);
+        clock.tick(1000 * CHAIN_GAP_RATIO);
+        assert.deepEqual(log.slice(2), ['blank 1', 'show 2:7']);
+
+        clock.tick(1000);
+        assert.deepEqual(log.slice(4), ['done']);
+    });
+
+    test('blanks between every number with gap on', () => {
+        const clock = createFakeClock();
+        const { log } = play(CHAIN, { interval: 400, gap: true, clock });
+
+        clock.tick(1200);
+        assert.deepEqual(log, ['show 0:12', 'blank 0', 'show 1:7', 'blank 1', 'show 2:7', 'done']);
+    });
+
+    test('speaks each number and waits for both the interval and the speech', async () => {
+        const clock = createFakeClock();
+        const speech = createStubSpeech();
+        const audio = { adapter: speech, options: { voice: 'Test' } };
+        const { log } = play(CHAIN, { interval: 500, audio, clock });
+
+        assert.deepEqual(speech.spoken, [{ text: '12', options: { voice: 'Test' } }]);
+
+        // Interval over, still speaking
+        clock.tick(500);
+        await flush();
+        assert.deepEqual(log, ['show 0:12']);
+
+        // Speech over, interval still running
+        speech.finish();
+        await flush();
+        assert.deepEqual(log, ['show 0:12', 'show 1:7']);
+        speech.finish();
+        await flush();
+        assert.deepEqual(log, ['show 0:12', 'show 1:7']);
+        clock.tick(500);
+        await flush();
+        assert.deepEqual(log, ['show 0:12', 'show 1:7', 'blank 1', 'show 2:7']);
+
+        speech.finish();
+        clock.tick(500);
+        await flush();
+        assert.equal(log.at(-1), 'done');
+        assert.deepEqual(speech.spoken.map(s => s.text), ['12', '-7', '-7']);
+    });
+
+    test('stop() halts playback, including speech already under way', async () => {
+        const clock = createFakeClock();
+        const speech = createStubSpeech();
+        const { log, playback } = play(CHAIN, { interval: 500, audio: { adapter: speech, options: {} }, clock });
+
+        clock.tick(500);
+        playback.stop();
+        speech.finish();
+        await flush();
+        clock.tick(5000);
+        await flush();
+
+        assert.deepEqual(log, ['show 0:12']);
+        assert.equal(speech.spoken.length, 1);
+    });
+
+    test('a stopped playback never blanks the display or finishes', () => {
+        const clock = createFakeClock();
+        const { log, playback } = play(CHAIN, { interval: 1000, clock });
+
+        clock.tick(1000);
+        playback.stop();
+        clock.tick(5000);
+        assert.deepEqual(log, ['show 0:12', 'show 1:7']);
+    });
+});
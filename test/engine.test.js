@@ -0,0 +1,444 @@
+/**
+ * Tests for the headless engine (engine.js): answer parsing, seeded problem
+ * generation, averages and whole sessions run on a fake clock.
+ */
+
+const { test, describe } = require('node:test');
+const assert = require('node:assert/strict');
+
+const {
+    TrainerEngine,
+    BLITZ_DURATION,
+    FAMILY_LEVELS,
+    createRng,
+    parseAnswer,
+    checkAnswer,
+    calculateAoN,
+    calculateBestAoN,
+    explainProblem,
+    generateOperationProblem,
+    generatePercentageProblem,
+    generateFractionProblem,
+    generateDecimalProblem
+} = require('../engine.js');
+
+/**
+ * A clock that only moves when told to, firing due timers in order
+ */
+function createFakeClock() {
+    let now = 0;
+    let timers = [];
+
+    return {
+        now: () => now,
+        timestamp: () => 1700000000000 + now,
+        setTimeout(fn, ms) {
+            const timer = { fn, at: now + ms };
+            timers.push(timer);
+            return timer;
+        },
+        clearTimeout(timer) {
+            timers = timers.filter(t => t !== timer);
+        },
+        tick(ms) {
+            const end = now + ms;
+            for (;;) {
+                const due = timers.filter(t => t.at <= end).sort((a, b) => a.at - b.at)[0];
+                if (!due) break;
+                timers = timers.filter(t => t !== due);
+                now = due.at;
+                due.fn();
+            }
+            now = end;
+        }
+    };
+}
+
+/**
+ * An engine on a fake clock that records every event it emits
+ */
+function createEngine(options = {}) {
+    const clock = createFakeClock();
+    const saved = [];
+    const engine = new TrainerEngine({ clock, storage: { saveSession: record => saved.push(record) }, ...options });
+    const events = [];
+    ['sessionStart', 'problem', 'result', 'answer', 'skip', 'timeout', 'pause', 'resume', 'sessionEnd']
+        .forEach(name => engine.on(name, () => events.push(name)));
+    return { engine, clock, saved, events };
+}
+
+function answerCorrectly(engine) {
+    return engine.submit(String(engine.session.currentProblem.answer));
+}
+
+describe('parseAnswer', () => {
+    test('parses whole numbers, decimals and percents as exact fractions', () => {
+        assert.deepEqual(parseAnswer('42'), { num: 42, den: 1, fraction: false, reduced: true });
+        assert.deepEqual(parseAnswer('0.75'), { num: 75, den: 100, fraction: false, reduced: true });
+        assert.deepEqual(parseAnswer('.5'), { num: 5, den: 10, fraction: false, reduced: true });
+        assert.deepEqual(parseAnswer('75%'), { num: 75, den: 100, fraction: false, reduced: true });
+    });
+
+    test('parses fractions and mixed numbers, noting whether they are reduced', () => {
+        assert.deepEqual(parseAnswer('3/4'), { num: 3, den: 4, fraction: true, reduced: true });
+        assert.deepEqual(parseAnswer('6/8'), { num: 6, den: 8, fraction: true, reduced: false });
+        assert.deepEqual(parseAnswer('1 1/2'), { num: 3, den: 2, fraction: true, reduced: true });
+        assert.equal(parseAnswer('1/0'), null);
+    });
+
+    test('accepts a leading minus, written either way, with or without a space', () => {
+        assert.equal(parseAnswer('-12').num, -12);
+        assert.equal(parseAnswer('−12').num, -12);
+        assert.equal(parseAnswer(' - 12 ').num, -12);
+        assert.deepEqual(parseAnswer('- 3 / 4'), { num: -3, den: 4, fraction: true, reduced: true });
+    });
+
+    test('accepts thousands separators only between groups of three digits', () => {
+        assert.equal(parseAnswer('1,234').num, 1234);
+        assert.equal(parseAnswer('1 234 567').num, 1234567);
+        assert.deepEqual(parseAnswer('12,345.5'), { num: 123455, den: 10, fraction: false, reduced: true });
+        assert.equal(parseAnswer('1,23'), null);
+        assert.equal(parseAnswer('1234,567'), null);
+    });
+
+    test('rejects incomplete or non-numeric input', () => {
+        for (const text of ['', '-', '1,', '.', 'abc', '1/', '12a']) {
+            assert.equal(parseAnswer(text), null, JSON.stringify(text));
+        }
+    });
+});
+
+describe('checkAnswer', () => {
+    test('compares values whatever notation either side uses', () => {
+        assert.ok(checkAnswer('0.5', { operation: 'decimal', answer: '1/2' }));
+        assert.ok(checkAnswer('50%', { operation: 'percentage', answer: 0.5 }));
+        assert.ok(checkAnswer('1,234', { operation: 'addition', answer: 1234 }));
+        assert.ok(checkAnswer('-35', { operation: 'subtraction', answer: -35 }));
+        assert.ok(!checkAnswer('35', { operation: 'subtraction', answer: -35 }));
+    });
+
+    test('requires fraction answers in lowest terms', () => {
+        assert.ok(checkAnswer('3/4', { operation: 'fraction', answer: '3/4' }));
+        assert.ok(!checkAnswer('6/8', { operation: 'fraction', answer: '3/4' }));
+        assert.ok(checkAnswer('0.75', { operation: 'fraction', answer: '3/4' }));
+    });
+});
+
+describe('seeded generators', () => {
+    const generate = (seed, count, fn) => {
+        const rng = createRng(seed);
+        return Array.from({ length: count }, () => fn(rng));
+    };
+
+    test('the same seed gives the same problems', () => {
+        for (const operation of ['multiplication', 'addition', 'subtraction', 'division', 'exponent']) {
+            const fn = rng => generateOperationProblem(operation, 99, rng);
+            assert.deepEqual(generate('abc', 20, fn), generate('abc', 20, fn), operation);
+        }
+    });
+
+    test('different seeds give different problems', () => {
+        const fn = rng => generateOperationProblem('multiplication', 99, rng).displayText;
+        assert.notDeepEqual(generate('abc', 20, fn), generate('xyz', 20, fn));
+    });
+
+    test('family generators are reproducible at every level', () => {
+        const families = {
+            percentage: generatePercentageProblem,
+            fraction: generateFractionProblem,
+            decimal: generateDecimalProblem
+        };
+        for (const [family, fn] of Object.entries(families)) {
+            FAMILY_LEVELS[family].forEach((level, i) => {
+                const make = rng => fn(level, rng);
+                assert.deepEqual(generate(`seed-${i}`, 10, make), generate(`seed-${i}`, 10, make), `${family} ${i + 1}`);
+            });
+        }
+    });
+
+    test('answers match the problems they are generated with', () => {
+        const rng = createRng('check');
+        for (let i = 0; i < 200; i++) {
+            const { a, b, answer } = generateOperationProblem('division', 99, rng);
+            assert.equal(a / b, answer);
+            const sub = generateOperationProblem('subtraction', 99, rng);
+            assert.equal(sub.a - sub.b, sub.answer);
+            assert.ok(sub.answer >= 0);
+        }
+    });
+
+    test('subtraction only goes below zero when allowed', () => {
+        const rng = createRng('negative');
+        const answers = Array.from({ length: 200 }, () => generateOperationProblem('subtraction', 99, rng, true).answer);
+        assert.ok(answers.some(answer => answer < 0));
+    });
+});
+
+describe('calculateAoN', () => {
+    test('returns null until there are enough times', () => {
+        assert.equal(calculateAoN([1, 2, 3, 4], 5), null);
+    });
+
+    test('drops the best and worst of the last n times', () => {
+        assert.equal(calculateAoN([9, 1, 2, 3, 4, 100], 5), 3);
+        assert.equal(calculateAoN([5, 5, 5], 3), 5);
+    });
+
+    test('trims more times when asked', () => {
+        const times = [1, 2, 3, 4, 5, 6, 7, 8, 9, 10, 11, 100];
+        assert.equal(calculateAoN(times, 12, 2), (3 + 4 + 5 + 6 + 7 + 8 + 9 + 10) / 8);
+    });
+});
+
+describe('calculateBestAoN', () => {
+    // Every window averaged from scratch, for comparison
+    const bruteForce = (times, n, trim) => {
+        let best = null;
+        for (let end = n; end <= times.length; end++) {
+            const value = calculateAoN(times.slice(end - n, end), n, trim);
+            if (best === null || value < best.value) best = { value, end };
+        }
+        return best;
+    };
+
+    test('returns null until there are enough times', () => {
+        assert.equal(calculateBestAoN([1, 2], 3, 0), null);
+    });
+
+    test('finds the best window and where it ends', () => {
+        assert.deepEqual(calculateBestAoN([5, 5, 5, 1, 2, 3, 9, 9], 3, 0), { value: 2, end: 6 });
+        assert.deepEqual(calculateBestAoN([9, 1, 2, 3, 100, 1, 2], 5, 1), { value: 2, end: 6 });
+    });
+
+    test('matches averaging every window from scratch', () => {
+        const rng = createRng('aon');
+        const times = Array.from({ length: 2000 }, () => Math.round(rng() * 1000) / 100);
+
+        for (const [n, trim] of [[3, 0], [5, 1], [12, 1], [50, 3], [100, 5]]) {
+            const expected = bruteForce(times, n, trim);
+            const actual = calculateBestAoN(times, n, trim);
+            assert.equal(actual.end, expected.end, `Ao${n}`);
+            assert.ok(Math.abs(actual.value - expected.value) < 1e-9, `Ao${n}`);
+        }
+    });
+
+    test('handles repeated times', () => {
+        const times = [2, 2, 2, 3, 3, 2, 2, 4, 2, 2, 2, 2];
+        assert.deepEqual(calculateBestAoN(times, 5, 1), bruteForce(times, 5, 1));
+    });
+
+    test('stays fast on long histories', () => {
+        const rng = createRng('long');
+        const times = Array.from({ length: 50000 }, () => rng() * 10);
+
+        const started = Date.now();
+        for (const [n, trim] of [[3, 0], [5, 1], [12, 1], [50, 3], [100, 5]]) {
+            calculateBestAoN(times, n, trim);
+        }
+        assert.ok(Date.now() - started < 500, `took ${Date.now() - started}ms`);
+    });
+});
+
+describe('explainProblem', () => {
+    const add = (a, b) => explainProblem({ a, b, symbol: '+', operation: 'addition' });
+
+    test('notes a carry out of the ones column of one-digit sums', () => {
+        assert.deepEqual(add(7, 8).steps, ['Ones: 7 + 8 = 15, carry 1 into the tens', '7 + 8 = 15']);
+    });
+
+    test('notes carries column by column, left to right', () => {
+        assert.deepEqual(add(47, 38).steps, [
+            'Tens: 40 + 30 = 70',
+            'Ones: 7 + 8 = 15, carry 1 into the tens, running total 85',
+            '47 + 38 = 85'
+        ]);
+        assert.deepEqual(add(95, 30).steps, ['Tens: 90 + 30 = 120, carry 1 into the hundreds', 'Ones: 5 + 0 = 5, running total 125', '95 + 30 = 125']);
+        assert.deepEqual(add(12, 13).steps, ['Tens: 10 + 10 = 20', 'Ones: 2 + 3 = 5, running total 25', '12 + 13 = 25']);
+    });
+
+    test('explains fractions and decimals given as stored strings', () => {
+        assert.equal(explainProblem({ a: '1/2', b: '1/3', symbol: '+', operation: 'fraction' }).strategy, 'Common denominator');
+        assert.equal(explainProblem({ a: '1.25', b: '7', symbol: '×', operation: 'decimal' }).strategy, 'Ignore the point, then put it back');
+    });
+
+    test('returns null for operands of the wrong type', () => {
+        assert.equal(explainProblem({ a: 1, b: 2, symbol: '+', operation: 'fraction' }), null);
+        assert.equal(explainProblem({ a: 1.5, b: '2', symbol: '+', operation: 'decimal' }), null);
+        assert.equal(explainProblem({ a: '7', b: 8, symbol: '+', operation: 'addition' }), null);
+    });
+});
+
+describe('TrainerEngine', () => {
+    test('a count session ends after its goal and saves the record', () => {
+        const { engine, saved, events } = createEngine();
+        engine.start('addition', { digitRange: 1, format: 'count', goal: 3, seed: 'count' });
+
+        for (let i = 0; i < 3; i++) {
+            assert.ok(answerCorrectly(engine).correct);
+            engine.advance();
+        }
+
+        assert.equal(engine.session.active, false);
+        assert.equal(saved.length, 1);
+        assert.equal(saved[0].completed, true);
+        assert.equal(saved[0].correct, 3);
+        assert.equal(saved[0].problems.length, 3);
+        assert.deepEqual(saved[0].problems.map(p => p.status), ['correct', 'correct', 'correct']);
+        assert.equal(events.filter(e => e === 'sessionEnd').length, 1);
+    });
+
+    test('the same seed replays the same problems', () => {
+        const run = () => {
+            const { engine } = createEngine();
+            const problems = [];
+            engine.on('problem', problem => problems.push(problem.displayText));
+            engine.start('multiplication', { digitRange: 2, format: 'count', goal: 5, seed: 'replay' });
+            while (engine.session.active) {
+                answerCorrectly(engine);
+                engine.advance();
+            }
+            return problems;
+        };
+        assert.deepEqual(run(), run());
+    });
+
+    test('survival ends on the first miss', () => {
+        const { engine, saved } = createEngine();
+        engine.start('addition', { digitRange: 1, format: 'survival' });
+
+        answerCorrectly(engine);
+        engine.advance();
+        const result = engine.submit('-1');
+        assert.equal(result.correct, false);
+        engine.advance();
+
+        assert.equal(engine.session.active, false);
+        assert.equal(saved[0].completed, true);
+        assert.deepEqual(saved[0].problems.map(p => p.status), ['correct', 'wrong']);
+        assert.equal(saved[0].problems[1].answer, -1);
+    });
+
+    test('blitz ends when its clock runs out, even mid-problem', () => {
+        const { engine, clock, saved } = createEngine();
+        engine.start('addition', { digitRange: 1, format: 'blitz' });
+
+        clock.tick(BLITZ_DURATION * 1000 - 1);
+        assert.equal(engine.session.active, true);
+        clock.tick(1);
+        assert.equal(engine.session.active, false);
+        assert.equal(saved[0].completed, true);
+    });
+
+    test('a problem times out after its time limit', () => {
+        const { engine, clock, events } = createEngine();
+        engine.start('addition', { digitRange: 1, timeLimit: 5 });
+
+        clock.tick(4999);
+        assert.ok(!events.includes('timeout'));
+        clock.tick(1);
+        assert.ok(events.includes('timeout'));
+        assert.equal(engine.session.awaitingAnswer, false);
+        assert.equal(engine.session.problems[0].status, 'timeout');
+        assert.equal(engine.submit('1'), null);
+    });
+
+    test('skip records a miss and submit ignores non-numbers', () => {
+        const { engine } = createEngine();
+        engine.start('addition', { digitRange: 1 });
+
+        assert.equal(engine.submit('abc'), null);
+        assert.equal(engine.session.total, 0);
+        engine.skip();
+        assert.equal(engine.session.total, 1);
+        assert.equal(engine.session.problems[0].status, 'skip');
+        assert.equal(engine.skip(), null);
+    });
+
+    test('paused time is left out of solve times, time limits and duration', () => {
+        const { engine, clock, saved, events } = createEngine();
+        engine.start('addition', { digitRange: 1, timeLimit: 5 });
+
+        clock.tick(2000);
+        assert.equal(engine.pause(), true);
+        assert.equal(engine.pause(), false);
+        clock.tick(60000);
+
+        // Frozen and unanswerable while paused, and the time limit doesn't fire
+        assert.equal(engine.elapsed(), 2);
+        assert.equal(answerCorrectly(engine), null);
+        assert.equal(engine.skip(), null);
+        assert.ok(!events.includes('timeout'));
+
+        assert.equal(engine.resume(), true);
+        clock.tick(1000);
+        const result = answerCorrectly(engine);
+        assert.equal(result.time, 3);
+
+        engine.end();
+        assert.equal(saved[0].pausedDuration, 60);
+        assert.equal(saved[0].duration, 3);
+        assert.deepEqual(events.filter(e => e === 'pause' || e === 'resume'), ['pause', 'resume']);
+    });
+
+    test('the time limit only counts time outside pauses', () => {
+        const { engine, clock, events } = createEngine();
+        engine.start('addition', { digitRange: 1, timeLimit: 5 });
+
+        clock.tick(4000);
+        engine.pause();
+        clock.tick(10000);
+        engine.resume();
+        clock.tick(999);
+        assert.ok(!events.includes('timeout'));
+        clock.tick(1);
+        assert.ok(events.includes('timeout'));
+    });
+
+    test('blitz stops its clock while paused', () => {
+        const { engine, clock } = createEngine();
+        engine.start('addition', { digitRange: 1, format: 'blitz' });
+
+        clock.tick(30000);
+        engine.pause();
+        clock.tick(120000);
+        engine.resume();
+        assert.equal(engine.activeTime(), 30);
+        clock.tick(29999);
+        assert.equal(engine.session.active, true);
+        clock.tick(1);
+        assert.equal(engine.session.active, false);
+    });
+
+    test('a problem served during a pause starts its clock on resume', () => {
+        const { engine, clock } = createEngine();
+        engine.start('addition', { digitRange: 1 });
+
+        answerCorrectly(engine);
+        engine.pause();
+        engine.advance();
+        clock.tick(5000);
+        engine.resume();
+        clock.tick(700);
+        assert.equal(engine.elapsed(), 0.7);
+    });
+
+    test('generators returning null end the session', () => {
+        const { engine, saved } = createEngine({ generate: () => null });
+        engine.start('review', {});
+        assert.equal(engine.session.active, false);
+        assert.equal(saved.length, 1);
+    });
+
+    test('problems that await display start timing on request', () => {
+        const { engine, clock } = createEngine({
+            generate: () => ({ displayText: 'Chain Math', operation: 'chain', answer: 7, awaitsDisplay: true })
+        });
+        engine.start('chain', {});
+
+        assert.equal(engine.session.awaitingAnswer, false);
+        clock.tick(3000);
+        engine.startTiming();
+        clock.tick(1500);
+        assert.equal(engine.submit('7').time, 1.5);
+    });
+});
@@ -0,0 +1,21 @@
+/**
+ * The service worker serves cache-first, so its version must change with the files it precaches
+ */
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+
+const { computeVersion, readVersion, getPrecachedFiles } = require('../scripts/update-sw-version.js');
+
+test('every precached file exists', () => {
+    const source = fs.readFileSync(path.join(__dirname, '..', 'sw.js'), 'utf8');
+    for (const file of getPrecachedFiles(source)) {
+        assert.ok(fs.existsSync(path.join(__dirname, '..', file)), file);
+    }
+});
+
+test('CACHE_VERSION matches the precached files (run `npm run sw-version`)', () => {
+    assert.equal(readVersion(), computeVersion());
+});